@@ -6,6 +6,15 @@
 (function () {
   'use strict';
 
+  // Used to locate the service worker at the site root
+  const scriptUrl = document.currentScript && document.currentScript.src;
+
+  // Per-page state, torn down when page transitions swap the content
+  let pageListeners = null; // AbortController for listeners bound to page elements
+  let scrollObserver = null;
+
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
   // =============================================
   // Smooth Scrolling
   // =============================================
@@ -21,21 +30,38 @@
           return;
         }
 
-        const target = document.querySelector(href);
-        if (target) {
+        if (scrollToHash(href)) {
           e.preventDefault();
-          target.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-          });
         }
-      });
+      }, { signal: pageListeners.signal });
     });
   }
 
-  // =============================================
-  // Fade In on Scroll
-  // =============================================
+  // Smoothly scrolls to the element a URL fragment points at.
+  // Returns false when no such element exists on the page.
+  function scrollToHash(hash) {
+    if (!hash || hash === '#') return false;
+
+    let id = hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (error) {
+      // Malformed escape sequence, use the fragment as-is
+    }
+
+    const target = document.getElementById(id);
+    if (!target) return false;
+
+    target.scrollIntoView({
+      behavior: reducedMotion.matches ? 'auto' : 'smooth',
+      block: 'start'
+    });
+    return true;
+  }
+
+  // Expose for page transitions (fragment navigation)
+  window.scrollToHash = scrollToHash;
+
   // =============================================
   // Fade In on Scroll
   // =============================================
@@ -44,7 +70,7 @@
 
     if (elements.length === 0) return;
 
-    const observer = new IntersectionObserver((entries) => {
+    scrollObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           if (entry.target.classList.contains('fade-in')) {
@@ -60,18 +86,18 @@
     });
 
     elements.forEach(el => {
+      // Reduced motion: leave fade-in elements visible (stylesheet drops the rest)
+      if (el.classList.contains('fade-in') && reducedMotion.matches) return;
+
       if (el.classList.contains('fade-in')) {
         el.style.opacity = '0';
         el.style.transform = 'translateY(20px)';
         el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
       }
-      observer.observe(el);
+      scrollObserver.observe(el);
     });
   }
 
-  // Expose for page transitions
-  window.initScrollAnimations = initScrollAnimations;
-
   // =============================================
   // Back Button Navigation
   // =============================================
@@ -89,21 +115,86 @@
           // Fallback to home page
           window.location.href = '/';
         }
-      });
+      }, { signal: pageListeners.signal });
     });
   }
 
   // =============================================
-  // Initialize All Functions
+  // Navigation Toggle
   // =============================================
-  function init() {
+  function initNavToggle() {
+    const navToggle = document.querySelector('.nav-toggle');
+    const navMenu = document.querySelector('.nav-menu');
+
+    if (!navToggle || !navMenu) return;
+
+    navToggle.addEventListener('click', function () {
+      navToggle.classList.toggle('active');
+      navMenu.classList.toggle('active');
+    }, { signal: pageListeners.signal });
+  }
+
+  // =============================================
+  // Service Worker (offline support)
+  // =============================================
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !scriptUrl) return;
+
+    const workerUrl = new URL('../../sw.js', scriptUrl);
+
+    navigator.serviceWorker.register(workerUrl.href, {
+      scope: new URL('./', workerUrl).pathname
+    }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  }
+
+  // =============================================
+  // Page Mount / Unmount
+  // =============================================
+  function mount() {
+    pageListeners = new AbortController();
+
     initSmoothScroll();
     initScrollAnimations();
     initBackButtons();
+    initNavToggle();
+  }
+
+  function unmount() {
+    if (pageListeners) {
+      pageListeners.abort();
+      pageListeners = null;
+    }
+
+    if (scrollObserver) {
+      scrollObserver.disconnect();
+      scrollObserver = null;
+    }
+  }
+
+  // =============================================
+  // Initialize All Functions
+  // =============================================
+  function init() {
+    // Links, reveal animations and the nav toggle belong to the swapped-in
+    // content and are rebound per page; the rest below runs once
+    if (window.PageTransitions) {
+      window.PageTransitions.register('common', { mount: mount, unmount: unmount });
+    } else {
+      mount();
+    }
 
     // Add fade-in class to body
     document.body.classList.add('loaded');
 
+    // Register once the page has finished loading so it doesn't compete
+    if (document.readyState === 'complete') {
+      registerServiceWorker();
+    } else {
+      window.addEventListener('load', registerServiceWorker);
+    }
+
     // Enable scrolling after brief delay to prevent scrollbar flash
     requestAnimationFrame(() => {
       requestAnimationFrame(() => {
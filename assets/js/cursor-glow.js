@@ -8,11 +8,15 @@
   let currentY = 0;
   let animationId = null;
   let isTouch = false;
+  let hasPointer = false; // Set once the mouse has moved over the page
+  let mounted = false; // Between mount() and unmount() by page transitions
+  let covered = false; // The page transition overlay hides everything
 
   // Configuration
   const config = {
     size: 800,           // Glow diameter in pixels
     smoothing: 0.15,     // Movement smoothing (0-1, lower = smoother)
+    settleDistance: 0.1, // Stop animating once this close to the pointer (px)
     opacity: 0.35,       // Base opacity of glow
     color: '255, 211, 77' // RGB color (cream white for warm lighting)
   };
@@ -25,9 +29,43 @@
       return; // Don't initialize on touch devices
     }
 
-    createGlowElement();
-    addEventListeners();
-    animate();
+    // The glow outlives page swaps; mounting only restarts its loop
+    if (window.PageTransitions) {
+      window.PageTransitions.register('cursor-glow', { mount: mount, unmount: unmount });
+    } else {
+      mount();
+    }
+  }
+
+  function mount() {
+    // The glow element and its listeners live across pages
+    if (!glowElement) {
+      createGlowElement();
+      addEventListeners();
+    }
+
+    mounted = true;
+    wake();
+  }
+
+  function unmount() {
+    mounted = false;
+    sleep();
+  }
+
+  // The loop only runs while the glow is still easing toward the pointer
+  // and can be seen: mounted, on a visible page, not behind the overlay
+  function wake() {
+    if (!animationId && mounted && !covered && document.visibilityState !== 'hidden') {
+      animationId = requestAnimationFrame(animate);
+    }
+  }
+
+  function sleep() {
+    if (animationId) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
   }
 
   function createGlowElement() {
@@ -59,11 +97,23 @@
     document.addEventListener('mousemove', onMouseMove, { passive: true });
     document.addEventListener('mouseenter', onMouseEnter);
     document.addEventListener('mouseleave', onMouseLeave);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    document.addEventListener('page:covered', onCovered);
+    document.addEventListener('page:uncovered', onUncovered);
   }
 
   function onMouseMove(e) {
     mouseX = e.clientX;
     mouseY = e.clientY;
+
+    // Start from the pointer rather than gliding in from the corner
+    if (!hasPointer) {
+      hasPointer = true;
+      currentX = mouseX;
+      currentY = mouseY;
+    }
+
+    wake();
   }
 
   function onMouseEnter() {
@@ -78,17 +128,43 @@
     }
   }
 
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      sleep();
+    } else {
+      wake();
+    }
+  }
+
+  function onCovered() {
+    covered = true;
+    sleep();
+  }
+
+  function onUncovered() {
+    covered = false;
+    wake();
+  }
+
   function animate() {
     // Smooth interpolation
     currentX += (mouseX - currentX) * config.smoothing;
     currentY += (mouseY - currentY) * config.smoothing;
 
+    // Close enough: land on the pointer and wait for it to move again
+    const settled = Math.abs(mouseX - currentX) < config.settleDistance &&
+      Math.abs(mouseY - currentY) < config.settleDistance;
+    if (settled) {
+      currentX = mouseX;
+      currentY = mouseY;
+    }
+
     if (glowElement) {
       glowElement.style.left = currentX + 'px';
       glowElement.style.top = currentY + 'px';
     }
 
-    animationId = requestAnimationFrame(animate);
+    animationId = settled ? null : requestAnimationFrame(animate);
   }
 
   // Initialize when DOM is ready
@@ -98,11 +174,14 @@
     init();
   }
 
-  // Cleanup on page unload
-  window.addEventListener('beforeunload', function() {
-    if (animationId) {
-      cancelAnimationFrame(animationId);
+  // Smoothed pointer position, shared with the starfield parallax
+  window.CursorGlow = {
+    getPosition: function() {
+      return { x: currentX, y: currentY, active: hasPointer && mounted };
     }
-  });
+  };
+
+  // Cleanup on page unload
+  window.addEventListener('beforeunload', sleep);
 
 })();
@@ -2,22 +2,30 @@
  * Canvas API Particle System
  * Creates an animated particle background with twinkling stars and shooting stars
  * No external dependencies required
+ *
+ * Where OffscreenCanvas is supported this same file is also loaded as a
+ * Web Worker that owns the canvas and runs the animation off the main thread.
+ * With renderer: 'webgl' the heaviest layers are drawn on the GPU instead.
  */
 
 (function() {
   'use strict';
 
-  let canvas, ctx;
-  let stars = [];
-  let nebulas = []; // Colorful space clouds
-  let clusters = []; // Distant star clusters/galaxies
-  let spaceDust = []; // Atmospheric dust particles
-  let animationId;
-  let resizeTimeout;
-  let shootingStarsContainer; // CSS shooting stars container
+  // Loaded via new Worker(): no DOM, render whatever the page sends us
+  const isWorker = typeof document === 'undefined';
+  const scriptUrl = isWorker ? null : document.currentScript && document.currentScript.src;
+  const reducedMotion = isWorker ? null : window.matchMedia('(prefers-reduced-motion: reduce)');
+
+  // Frame scheduling (workers without requestAnimationFrame fall back to timers)
+  const requestFrame = self.requestAnimationFrame
+    ? self.requestAnimationFrame.bind(self)
+    : callback => setTimeout(() => callback(performance.now()), 16);
+  const cancelFrame = self.cancelAnimationFrame
+    ? self.cancelAnimationFrame.bind(self)
+    : clearTimeout;
 
   // Professional Deep Blue Color palette with stellar classification
-  const colors = {
+  const defaultColors = {
     // Stellar classification colors (realistic star temperatures)
     stellarColors: {
       distant: [ // Cooler, redder distant stars
@@ -39,7 +47,7 @@
         'rgba(59, 130, 246, '   // Deep blue
       ]
     },
-    shootingStar: '#d4af37', // Gold
+    shootingStar: 'rgba(105, 155, 255, ', // Blue streak
     nebulaColors: [
       { r: 147, g: 197, b: 253 }, // Light blue
       { r: 96, g: 165, b: 250 },  // Sky blue
@@ -62,7 +70,9 @@
   };
 
   // Configuration
-  const config = {
+  const defaultConfig = {
+    // Multiplier applied to every count below (e.g. 0.5 on text-heavy pages)
+    density: 1,
     // Star layers (parallax depth)
     distantStarCount: 200, // Far away, slow
     midStarCount: 200,     // Medium distance
@@ -78,690 +88,2769 @@
     clusterMaxSize: 150,
     // Space dust
     dustCount: 80,
-    // CSS shooting stars
-    shootingStarCount: 8 // Reduced for less frequent shooting stars
+    // Counts above are for this viewport area; others scale proportionally
+    referenceArea: 1920 * 1080,
+    // Shooting stars
+    shootingStarRate: 0.5, // New streaks per second (0 disables them)
+    shootingStarMax: 3, // Streaks visible at once
+    // Rendering quality: 'auto' adapts to frame times, or pin 'high', 'medium', 'low'
+    quality: 'auto',
+    frameBudget: 20, // ms per frame before quality steps down (~50fps)
+    maxPixelRatio: 2, // Cap for devicePixelRatio on very dense screens
+    // Battery saver caps the frame rate: true always, 'auto' on a low, discharging battery
+    batterySaver: 'auto',
+    batterySaverFps: 30, // Frame rate while saving
+    batterySaverLevel: 0.2, // Charge (0-1) at or below which 'auto' starts saving
+    offscreen: true, // Render in a worker when OffscreenCanvas is available (read at startup)
+    renderer: '2d', // 'webgl' draws stars, dust, nebulas and clusters on the GPU, falling back to '2d'
+    seed: null, // Number for a reproducible scene, null for a different sky every time
+    // Parallax: how far the near layer shifts, farther layers move less
+    parallax: 20, // px at the edge of the screen (pointer or tilt)
+    scrollParallax: 60, // px over the full scroll height of the page
+    tilt: false, // Follow device orientation on mobile (iOS also needs enableTilt() from a tap)
+    // Constellations: link nearby near-layer stars and/or trace a shape
+    constellations: false,
+    constellationDistance: 110, // Max link length in px
+    constellationMaxLinks: 3, // Links per star
+    constellationOpacity: 0.25,
+    constellationShape: null // Name from constellationShapes, or { points, lines }
   };
 
-  function init() {
-    // Create canvas element
-    canvas = document.createElement('canvas');
-    canvas.id = 'particle-canvas';
-    canvas.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      z-index: 0;
-      pointer-events: none;
-    `;
-    document.body.prepend(canvas);
+  // Shapes for constellationShape. Points are in a unit box, lines join
+  // point indexes; unconnected points are drawn as lone stars.
+  const constellationShapes = {
+    fox: { // The logo: ears, cheeks, muzzle and eyes
+      points: [[0.1, 0], [0.35, 0.3], [0.65, 0.3], [0.9, 0], [1, 0.5], [0.5, 1], [0, 0.5], [0.33, 0.5], [0.67, 0.5]],
+      lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 0]]
+    },
+    code: { // </> for projects
+      points: [[0.3, 0.15], [0, 0.5], [0.3, 0.85], [0.6, 0.05], [0.4, 0.95], [0.7, 0.15], [1, 0.5], [0.7, 0.85]],
+      lines: [[0, 1], [1, 2], [3, 4], [5, 6], [6, 7]]
+    },
+    pen: { // Fountain pen nib for writing
+      points: [[0.5, 0], [0.8, 0.45], [0.5, 1], [0.2, 0.45], [0.5, 0.55]],
+      lines: [[0, 1], [1, 2], [2, 3], [3, 0], [2, 4]]
+    },
+    user: { // Head and shoulders for about
+      points: [[0.5, 0], [0.68, 0.2], [0.5, 0.4], [0.32, 0.2], [0.05, 1], [0.25, 0.6], [0.75, 0.6], [0.95, 1]],
+      lines: [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7]]
+    }
+  };
 
-    ctx = canvas.getContext('2d');
+  // Quality levels, best first. scale multiplies layer counts, gradients
+  // toggles radial gradients (star glows, nebulas, clusters) and
+  // pixelRatio caps the canvas resolution.
+  const qualityLevels = [
+    { name: 'high', scale: 1, gradients: true, pixelRatio: Infinity },
+    { name: 'medium', scale: 0.6, gradients: true, pixelRatio: 1.5 },
+    { name: 'low', scale: 0.35, gradients: false, pixelRatio: 1 }
+  ];
+
+  // Named presets (config and/or color overrides). Theme presets apply
+  // automatically from the body's theme-* class; others are picked with
+  // data-particles-preset="name" on <body>.
+  const presets = {
+    'theme-red': {
+      nebulaColors: [
+        { r: 239, g: 68, b: 68 },   // Red
+        { r: 248, g: 113, b: 113 }, // Light red
+        { r: 251, g: 146, b: 60 },  // Orange
+        { r: 236, g: 72, b: 153 },  // Pink
+        { r: 244, g: 114, b: 182 }, // Rose
+        { r: 192, g: 132, b: 252 }  // Violet
+      ]
+    },
+    'theme-green': {
+      nebulaColors: [
+        { r: 16, g: 185, b: 129 },  // Emerald
+        { r: 52, g: 211, b: 153 },  // Light emerald
+        { r: 74, g: 222, b: 128 },  // Green
+        { r: 34, g: 211, b: 238 },  // Cyan/Teal
+        { r: 96, g: 165, b: 250 }   // Sky blue
+      ]
+    },
+    'theme-blue': {
+      nebulaColors: [
+        { r: 147, g: 197, b: 253 }, // Light blue
+        { r: 96, g: 165, b: 250 },  // Sky blue
+        { r: 59, g: 130, b: 246 },  // Deep blue
+        { r: 139, g: 92, b: 246 },  // Purple
+        { r: 167, g: 139, b: 250 }, // Soft purple
+        { r: 34, g: 211, b: 238 }   // Cyan/Teal
+      ]
+    },
+    // Text-heavy detail pages: a calmer sky behind the copy
+    detail: {
+      density: 0.5,
+      nebulaOpacity: 0.08,
+      shootingStarRate: 0.2
+    }
+  };
 
-    // Set canvas size immediately (no debounce for initial setup)
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+  // Star layers (parallax depth): base + random spread for each property
+  const starLayers = {
+    distant: { // Slow, small, warm colors
+      countKey: 'distantStarCount',
+      speed: [0.05, 0.03],
+      size: [0.3, 1],
+      twinkleSpeed: [0.005, 0.01],
+      minOpacity: [0.2, 0.15],
+      maxOpacity: [0.5, 0.2],
+      shootingStar: { brightness: 0.35, width: 0.8, speed: [3, 1.5], length: [40, 30] },
+      depth: 0.2 // Parallax shift relative to the near layer
+    },
+    mid: { // Medium speed, size, neutral colors
+      countKey: 'midStarCount',
+      speed: [0.12, 0.08],
+      size: [0.5, 1.5],
+      twinkleSpeed: [0.01, 0.015],
+      minOpacity: [0.3, 0.2],
+      maxOpacity: [0.7, 0.25],
+      shootingStar: { brightness: 0.6, width: 1.2, speed: [5, 2.5], length: [70, 40] },
+      depth: 0.5
+    },
+    near: { // Fast, large, blue/bright colors
+      countKey: 'nearStarCount',
+      speed: [0.2, 0.15],
+      size: [1, 2.5],
+      twinkleSpeed: [0.015, 0.02],
+      minOpacity: [0.5, 0.2],
+      maxOpacity: [0.85, 0.15],
+      shootingStar: { brightness: 0.9, width: 1.8, speed: [8, 4], length: [110, 60] },
+      depth: 1
+    }
+  };
 
-    // Create stars immediately
-    createStars();
+  // Mulberry32: small, fast and good enough for scattering stars.
+  // A null seed falls back to Math.random.
+  function createRandom(seed) {
+    if (seed === null || seed === undefined) {
+      return Math.random;
+    }
 
-    // Draw first frame immediately to ensure backdrop-filter has content to blur
-    drawFirstFrame();
+    let state = Number(seed) >>> 0;
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
 
-    // Event listeners
-    window.addEventListener('resize', resizeCanvas);
+  // data-particles-nebula-count="4" -> { nebulaCount: 4 }
+  function readDataAttributes(element) {
+    const settings = {};
 
-    // Start animation
-    animate();
+    Object.keys(element.dataset).forEach(key => {
+      if (key.indexOf('particles') !== 0 || key === 'particlesPreset') return;
 
-    // Create CSS shooting stars
-    createCSSShootingStars();
+      const name = key.charAt(9).toLowerCase() + key.slice(10);
+      const value = element.dataset[key];
 
-    // Force repaint for backdrop-filter to work properly
-    forceBackdropFilterRefresh();
+      if (!(name in defaultConfig)) return;
 
-    // Listen for page visibility changes
-    document.addEventListener('visibilitychange', handleVisibilityChange);
+      if (value === 'true' || value === 'false') {
+        settings[name] = value === 'true';
+      } else if (value !== '' && !isNaN(value)) {
+        settings[name] = Number(value);
+      } else {
+        settings[name] = value;
+      }
+    });
 
-    // Listen for pageshow event (back/forward navigation)
-    window.addEventListener('pageshow', handlePageShow);
+    return settings;
   }
 
-  function drawFirstFrame() {
-    // Draw all elements once immediately
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Initialize current values for first draw
-    stars.forEach(star => {
-      star.currentOpacity = star.minOpacity + (star.maxOpacity - star.minOpacity) * 0.5;
-      star.currentSize = star.size;
-    });
-    nebulas.forEach(nebula => {
-      nebula.currentOpacity = nebula.opacity;
-    });
-    clusters.forEach(cluster => {
-      cluster.currentOpacity = cluster.opacity;
-    });
-    spaceDust.forEach(dust => {
-      dust.currentOpacity = dust.opacity;
+  // Settings sent to the worker arrive as copies, so compare colors by value
+  function inPalette(palette, color) {
+    return palette.some(entry => {
+      return entry === color ||
+        (typeof entry === 'object' && entry.r === color.r && entry.g === color.g && entry.b === color.b);
     });
+  }
+
+  function resizeList(list, target, create) {
+    const result = list.slice(0, target);
+    while (result.length < target) {
+      result.push(create());
+    }
+    return result;
+  }
 
-    drawClusters();
-    drawNebulas();
-    drawSpaceDust();
-    drawStars();
-    drawVignette();
+  // Shifted stars reappear on the opposite edge, so no gap opens up
+  function wrap(value, size) {
+    const span = size + 20;
+    return ((value + 10) % span + span) % span - 10;
   }
 
-  function forceBackdropFilterRefresh() {
-    // Force browser to recalculate backdrop-filter by toggling a property
-    const glassElements = document.querySelectorAll('.hero-card-glass, .detail-container, .about-card, .timeline-header');
+  function resolveShape(shape) {
+    return typeof shape === 'string' ? constellationShapes[shape] : shape;
+  }
 
-    glassElements.forEach(el => {
-      // Force recomposite
-      el.style.transform = 'translateZ(0)';
-    });
+  // =============================================
+  // WebGL Renderer
+  // =============================================
+  // Optional backend for the heavy built-in layers (config.renderer =
+  // 'webgl'). Stars and dust become instanced point sprites and nebulas and
+  // clusters become shader clouds, instead of a radial gradient per element
+  // per frame. It draws into its own canvas, which the 2D canvas composites
+  // in layer order, so shooting stars, constellations and page layers keep
+  // drawing with ctx.
+
+  // Quad corners shared by every instance
+  const quadCorners = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+
+  const spriteShaders = {
+    vertex: `
+      attribute vec2 a_corner;
+      attribute vec2 a_center;
+      attribute float a_radius;
+      attribute vec4 a_color;
+      attribute float a_glow;
+      uniform vec2 u_view;
+      varying vec2 v_offset;
+      varying float v_radius;
+      varying vec4 v_color;
+      varying float v_glow;
+
+      void main() {
+        // Glowing stars need room for their halo at twice the radius
+        float extent = a_radius * (a_glow > 0.0 ? 2.0 : 1.0) + 1.0;
+        v_offset = a_corner * extent;
+        v_radius = a_radius;
+        v_color = a_color;
+        v_glow = a_glow;
+
+        vec2 position = (a_center + v_offset) / u_view * 2.0 - 1.0;
+        gl_Position = vec4(position.x, -position.y, 0.0, 1.0);
+      }
+    `,
+    fragment: `
+      precision mediump float;
+      uniform float u_pixelRatio;
+      varying vec2 v_offset;
+      varying float v_radius;
+      varying vec4 v_color;
+      varying float v_glow;
+
+      void main() {
+        float reach = length(v_offset);
+
+        // Solid disc with an antialiased edge
+        float alpha = clamp((v_radius - reach) * u_pixelRatio + 0.5, 0.0, 1.0) * v_color.a;
+
+        // Halo fading out at twice the radius, like the 2D glow gradient
+        if (v_glow > 0.0) {
+          float halo = max(1.0 - reach / (v_radius * 2.0), 0.0) * v_color.a * 0.3;
+          alpha += halo * (1.0 - alpha);
+        }
 
-    // Additional refresh after a short delay to catch late-rendering elements
-    setTimeout(() => {
-      glassElements.forEach(el => {
-        el.style.transform = '';
-        // Force another reflow
-        void el.offsetHeight;
-        el.style.transform = 'translateZ(0)';
-      });
-    }, 50);
+        gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+      }
+    `
+  };
 
-    // Final cleanup
-    setTimeout(() => {
-      glassElements.forEach(el => {
-        el.style.transform = '';
-      });
-    }, 150);
-  }
+  const cloudShaders = {
+    vertex: `
+      attribute vec2 a_corner;
+      attribute vec2 a_center;
+      attribute float a_size;
+      attribute vec2 a_shape;
+      attribute vec4 a_color;
+      attribute float a_seed;
+      uniform vec2 u_view;
+      varying vec2 v_local;
+      varying vec4 v_color;
+      varying float v_seed;
+
+      void main() {
+        // Scale to the ellipse, then rotate (a_shape: rotation, elongation)
+        vec2 local = a_corner * vec2(1.0, a_shape.y) * a_size;
+        float c = cos(a_shape.x);
+        float s = sin(a_shape.x);
+        vec2 position = a_center + vec2(local.x * c - local.y * s, local.x * s + local.y * c);
+
+        v_local = a_corner;
+        v_color = a_color;
+        v_seed = a_seed;
+
+        position = position / u_view * 2.0 - 1.0;
+        gl_Position = vec4(position.x, -position.y, 0.0, 1.0);
+      }
+    `,
+    fragment: `
+      precision mediump float;
+      uniform vec3 u_stops;
+      uniform vec2 u_positions;
+      uniform float u_noise;
+      varying vec2 v_local;
+      varying vec4 v_color;
+      varying float v_seed;
+
+      float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+      }
 
-  function handleVisibilityChange() {
-    if (document.visibilityState === 'visible') {
-      // Recreate stars when page becomes visible again
-      resizeCanvas();
-    }
-  }
+      float valueNoise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(
+          mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+          mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x),
+          u.y
+        );
+      }
 
-  function handlePageShow(event) {
-    // If page is loaded from cache (back/forward), reinitialize
-    if (event.persisted || performance.getEntriesByType('navigation')[0]?.type === 'back_forward') {
-      reinitialize();
-    } else {
-      // Regular page load - just ensure canvas is sized correctly
-      resizeCanvas();
-    }
-  }
+      float fbm(vec2 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 4; i++) {
+          value += amplitude * valueNoise(p);
+          p *= 2.0;
+          amplitude *= 0.5;
+        }
+        return value;
+      }
 
-  function reinitialize() {
-    // Clear existing animation
-    if (animationId) {
-      cancelAnimationFrame(animationId);
-    }
+      void main() {
+        float reach = length(v_local);
+        if (reach >= 1.0) discard;
 
-    // Reset canvas size
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+        // Same falloff as the 2D gradient stops
+        float alpha;
+        if (reach < u_positions.x) {
+          alpha = mix(u_stops.x, u_stops.y, reach / u_positions.x);
+        } else if (reach < u_positions.y) {
+          alpha = mix(u_stops.y, u_stops.z, (reach - u_positions.x) / (u_positions.y - u_positions.x));
+        } else {
+          alpha = mix(u_stops.z, 0.0, (reach - u_positions.y) / (1.0 - u_positions.y));
+        }
 
-    // Recreate all elements
-    stars = [];
-    nebulas = [];
-    createStars();
+        // Break the disc up into drifting wisps
+        if (u_noise > 0.0) {
+          float wisps = fbm(v_local * 2.5 + vec2(v_seed, v_seed * 0.7));
+          alpha *= mix(1.0, 0.4 + wisps * 1.2, u_noise);
+        }
 
-    // Draw first frame immediately
-    drawFirstFrame();
+        alpha *= v_color.a;
+        gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+      }
+    `
+  };
 
-    // Restart animation
-    animate();
+  // Falloff of the 2D gradients for the cloud shader: opacity multipliers
+  // at the center and two stops, reaching 0 at the edge
+  const cloudProfiles = {
+    nebula: { stops: [1, 0.5, 0.2], positions: [0.4, 0.7], noise: 1 },
+    cluster: { stops: [1.5, 1, 0.4], positions: [0.3, 0.6], noise: 0 }
+  };
 
-    // Recreate CSS shooting stars
-    createCSSShootingStars();
+  // Palette entries like 'rgba(255, 204, 111, ' as { r, g, b }
+  const parsedColors = new Map();
 
-    // Force backdrop-filter refresh
-    forceBackdropFilterRefresh();
+  function parseColor(prefix) {
+    if (!parsedColors.has(prefix)) {
+      const parts = prefix.match(/[\d.]+/g) || [255, 255, 255];
+      parsedColors.set(prefix, { r: Number(parts[0]), g: Number(parts[1]), b: Number(parts[2]) });
+    }
+    return parsedColors.get(prefix);
   }
 
-  function resizeCanvas() {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+  function compileProgram(gl, shaders) {
+    const program = gl.createProgram();
 
-    // Debounce star recreation to avoid performance issues
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      createStars();
-    }, 250);
-  }
+    [[gl.VERTEX_SHADER, shaders.vertex], [gl.FRAGMENT_SHADER, shaders.fragment]].forEach(entry => {
+      const shader = gl.createShader(entry[0]);
+      gl.shaderSource(shader, entry[1]);
+      gl.compileShader(shader);
+      gl.attachShader(program, shader);
+    });
 
-  function createStars() {
-    stars = [];
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-
-    // Create distant stars (slow, small, warm colors)
-    for (let i = 0; i < config.distantStarCount; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const speed = 0.05 + Math.random() * 0.03; // Slow
-      const vx = distance > 0 ? (dx / distance) * speed : 0;
-      const vy = distance > 0 ? (dy / distance) * speed : 0;
-
-      stars.push({
-        x: x, y: y,
-        size: Math.random() * 1 + 0.3, // Small
-        color: colors.stellarColors.distant[Math.floor(Math.random() * colors.stellarColors.distant.length)],
-        twinkleSpeed: 0.005 + Math.random() * 0.01,
-        twinklePhase: Math.random() * Math.PI * 2,
-        minOpacity: 0.2 + Math.random() * 0.15,
-        maxOpacity: 0.5 + Math.random() * 0.2,
-        vx: vx, vy: vy,
-        initialDistance: distance,
-        layer: 'distant'
-      });
-    }
-
-    // Create mid-distance stars (medium speed, size, neutral colors)
-    for (let i = 0; i < config.midStarCount; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const speed = 0.12 + Math.random() * 0.08; // Medium
-      const vx = distance > 0 ? (dx / distance) * speed : 0;
-      const vy = distance > 0 ? (dy / distance) * speed : 0;
-
-      stars.push({
-        x: x, y: y,
-        size: Math.random() * 1.5 + 0.5, // Medium
-        color: colors.stellarColors.mid[Math.floor(Math.random() * colors.stellarColors.mid.length)],
-        twinkleSpeed: 0.01 + Math.random() * 0.015,
-        twinklePhase: Math.random() * Math.PI * 2,
-        minOpacity: 0.3 + Math.random() * 0.2,
-        maxOpacity: 0.7 + Math.random() * 0.25,
-        vx: vx, vy: vy,
-        initialDistance: distance,
-        layer: 'mid'
-      });
-    }
-
-    // Create near stars (fast, large, blue/bright colors)
-    for (let i = 0; i < config.nearStarCount; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const speed = 0.2 + Math.random() * 0.15; // Fast
-      const vx = distance > 0 ? (dx / distance) * speed : 0;
-      const vy = distance > 0 ? (dy / distance) * speed : 0;
-
-      stars.push({
-        x: x, y: y,
-        size: Math.random() * 2.5 + 1, // Large
-        color: colors.stellarColors.near[Math.floor(Math.random() * colors.stellarColors.near.length)],
-        twinkleSpeed: 0.015 + Math.random() * 0.02,
-        twinklePhase: Math.random() * Math.PI * 2,
-        minOpacity: 0.5 + Math.random() * 0.2,
-        maxOpacity: 0.85 + Math.random() * 0.15,
-        vx: vx, vy: vy,
-        initialDistance: distance,
-        layer: 'near'
-      });
-    }
-
-    // Create other elements
-    createNebulas();
-    createClusters();
-    createSpaceDust();
+    gl.linkProgram(program);
+    return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
   }
 
-  function createNebulas() {
-    nebulas = [];
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+  // Returns null where WebGL or instancing is unavailable, so callers stay
+  // on 2D. onLost runs if the GPU context is lost later.
+  function createWebGLRenderer(onLost) {
+    const canvas = isWorker ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+    const attributes = { alpha: true, premultipliedAlpha: true, antialias: false, depth: false, stencil: false };
+
+    // WebGL 2 instances natively, WebGL 1 through ANGLE_instanced_arrays
+    let gl = canvas.getContext('webgl2', attributes);
+    let instancing;
+
+    if (gl) {
+      instancing = {
+        divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+        draw: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances)
+      };
+    } else {
+      gl = canvas.getContext('webgl', attributes);
+      const extension = gl && gl.getExtension('ANGLE_instanced_arrays');
+      if (!extension) return null;
+
+      instancing = {
+        divisor: (location, divisor) => extension.vertexAttribDivisorANGLE(location, divisor),
+        draw: (mode, first, count, instances) => extension.drawArraysInstancedANGLE(mode, first, count, instances)
+      };
+    }
+
+    const sprites = createBatch(spriteShaders, [['a_center', 2], ['a_radius', 1], ['a_color', 4], ['a_glow', 1]]);
+    const clouds = createBatch(cloudShaders, [['a_center', 2], ['a_size', 1], ['a_shape', 2], ['a_color', 4], ['a_seed', 1]]);
+    if (!sprites || !clouds) return null;
 
-    for (let i = 0; i < config.nebulaCount; i++) {
-      const color = colors.nebulaColors[Math.floor(Math.random() * colors.nebulaColors.length)];
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
+    const corners = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, corners);
+    gl.bufferData(gl.ARRAY_BUFFER, quadCorners, gl.STATIC_DRAW);
 
-      // Calculate direction from center
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
+    // Premultiplied alpha, the way the 2D canvas composites it
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
 
-      // Slower forward motion for nebulas
-      const speed = 0.08 + Math.random() * 0.04;
-      const vx = distance > 0 ? (dx / distance) * speed : 0;
-      const vy = distance > 0 ? (dy / distance) * speed : 0;
+    let viewWidth = 1;
+    let viewHeight = 1;
+    let pixelRatio = 1;
 
-      nebulas.push({
-        x: x,
-        y: y,
-        size: config.nebulaMinSize + Math.random() * (config.nebulaMaxSize - config.nebulaMinSize),
-        color: color,
-        opacity: config.nebulaOpacity * (0.5 + Math.random() * 0.5),
-        pulseSpeed: 0.002 + Math.random() * 0.003,
-        pulsePhase: Math.random() * Math.PI * 2,
-        // Forward motion - moving away from center
-        vx: vx,
-        vy: vy
+    canvas.addEventListener('webglcontextlost', onLost);
+
+    // A program plus a growable array of per-instance attributes
+    function createBatch(shaders, layout) {
+      const program = compileProgram(gl, shaders);
+      if (!program) return null;
+
+      const uniforms = {};
+      ['u_view', 'u_pixelRatio', 'u_stops', 'u_positions', 'u_noise'].forEach(name => {
+        uniforms[name] = gl.getUniformLocation(program, name);
       });
+
+      return {
+        program: program,
+        uniforms: uniforms,
+        corner: gl.getAttribLocation(program, 'a_corner'),
+        layout: layout.map(entry => ({ location: gl.getAttribLocation(program, entry[0]), size: entry[1] })),
+        stride: layout.reduce((sum, entry) => sum + entry[1], 0),
+        buffer: gl.createBuffer(),
+        data: new Float32Array(1024),
+        count: 0
+      };
     }
-  }
 
-  function createClusters() {
-    clusters = [];
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+    // Next free slot for one instance, growing the array as needed
+    function slot(batch) {
+      const offset = batch.count * batch.stride;
+      if (offset + batch.stride > batch.data.length) {
+        const grown = new Float32Array(batch.data.length * 2);
+        grown.set(batch.data);
+        batch.data = grown;
+      }
+      batch.count++;
+      return offset;
+    }
 
-    for (let i = 0; i < config.clusterCount; i++) {
-      const color = colors.clusterColors[Math.floor(Math.random() * colors.clusterColors.length)];
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
+    function drawBatch(batch, setUniforms) {
+      if (!batch.count) return;
 
-      // Very slow movement for distant galaxies
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const speed = 0.02 + Math.random() * 0.02;
-      const vx = distance > 0 ? (dx / distance) * speed : 0;
-      const vy = distance > 0 ? (dy / distance) * speed : 0;
+      gl.useProgram(batch.program);
+      gl.uniform2f(batch.uniforms.u_view, viewWidth, viewHeight);
+      setUniforms(batch.uniforms);
 
-      clusters.push({
-        x: x,
-        y: y,
-        size: config.clusterMinSize + Math.random() * (config.clusterMaxSize - config.clusterMinSize),
-        color: color,
-        opacity: 0.03 + Math.random() * 0.04, // Very faint
-        pulseSpeed: 0.001 + Math.random() * 0.002,
-        pulsePhase: Math.random() * Math.PI * 2,
-        vx: vx,
-        vy: vy,
-        // Cluster shape variation
-        elongation: 0.6 + Math.random() * 0.8,
-        rotation: Math.random() * Math.PI * 2
+      gl.bindBuffer(gl.ARRAY_BUFFER, corners);
+      gl.enableVertexAttribArray(batch.corner);
+      gl.vertexAttribPointer(batch.corner, 2, gl.FLOAT, false, 0, 0);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, batch.buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, batch.data.subarray(0, batch.count * batch.stride), gl.DYNAMIC_DRAW);
+
+      let offset = 0;
+      batch.layout.forEach(attribute => {
+        gl.enableVertexAttribArray(attribute.location);
+        gl.vertexAttribPointer(attribute.location, attribute.size, gl.FLOAT, false, batch.stride * 4, offset * 4);
+        instancing.divisor(attribute.location, 1);
+        offset += attribute.size;
       });
-    }
-  }
 
-  function createSpaceDust() {
-    spaceDust = [];
+      instancing.draw(gl.TRIANGLE_STRIP, 0, 4, batch.count);
 
-    for (let i = 0; i < config.dustCount; i++) {
-      spaceDust.push({
-        x: Math.random() * canvas.width,
-        y: Math.random() * canvas.height,
-        size: Math.random() * 1.5 + 0.5,
-        opacity: 0.05 + Math.random() * 0.1,
-        // Slow random drift (not tied to center)
-        vx: (Math.random() - 0.5) * 0.1,
-        vy: (Math.random() - 0.5) * 0.1,
-        // Subtle pulsing
-        pulseSpeed: 0.003 + Math.random() * 0.005,
-        pulsePhase: Math.random() * Math.PI * 2
+      // Divisors are global state in WebGL 1, so leave them as we found them
+      batch.layout.forEach(attribute => {
+        instancing.divisor(attribute.location, 0);
+        gl.disableVertexAttribArray(attribute.location);
       });
+
+      batch.count = 0;
     }
+
+    return {
+      canvas: canvas,
+      // Matches the 2D canvas backing store, drawing in CSS pixels
+      resize: function(width, height, ratio) {
+        viewWidth = width || 1;
+        viewHeight = height || 1;
+        pixelRatio = ratio;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        gl.viewport(0, 0, canvas.width, canvas.height);
+      },
+      clear: function() {
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+      },
+      // Round sprite of radius px, color { r, g, b }; glow adds the halo
+      sprite: function(x, y, radius, color, alpha, glow) {
+        const i = slot(sprites);
+        const data = sprites.data;
+        data[i] = x;
+        data[i + 1] = y;
+        data[i + 2] = radius;
+        data[i + 3] = color.r / 255;
+        data[i + 4] = color.g / 255;
+        data[i + 5] = color.b / 255;
+        data[i + 6] = alpha;
+        data[i + 7] = glow ? 1 : 0;
+      },
+      drawSprites: function() {
+        drawBatch(sprites, uniforms => gl.uniform1f(uniforms.u_pixelRatio, pixelRatio));
+      },
+      // Cloud of radius size, squashed by elongation and rotated; seed
+      // picks and drifts its noise pattern
+      cloud: function(x, y, size, rotation, elongation, color, alpha, seed) {
+        const i = slot(clouds);
+        const data = clouds.data;
+        data[i] = x;
+        data[i + 1] = y;
+        data[i + 2] = size;
+        data[i + 3] = rotation;
+        data[i + 4] = elongation;
+        data[i + 5] = color.r / 255;
+        data[i + 6] = color.g / 255;
+        data[i + 7] = color.b / 255;
+        data[i + 8] = alpha;
+        data[i + 9] = seed;
+      },
+      // profile: one of cloudProfiles
+      drawClouds: function(profile) {
+        drawBatch(clouds, uniforms => {
+          gl.uniform3fv(uniforms.u_stops, profile.stops);
+          gl.uniform2fv(uniforms.u_positions, profile.positions);
+          gl.uniform1f(uniforms.u_noise, profile.noise);
+        });
+      },
+      destroy: function() {
+        canvas.removeEventListener('webglcontextlost', onLost);
+        const extension = gl.getExtension('WEBGL_lose_context');
+        if (extension) {
+          extension.loseContext();
+        }
+      }
+    };
   }
 
-  function createCSSShootingStars() {
-    // Remove existing container if present
-    const existingContainer = document.querySelector('.shooting-stars-container');
-    if (existingContainer) {
-      existingContainer.remove();
+  // =============================================
+  // ParticleSystem
+  // =============================================
+
+  // new ParticleSystem(target, options)
+  //   target:  a container element to fill (a canvas is added and removed
+  //            again on destroy) or a <canvas> sized with CSS to draw into
+  //   options: any config key, plus preset; same as configure()
+  // Each instance owns its scene, listeners and timers; the page
+  // background is one instance, created below.
+  function ParticleSystem(target, options) {
+    if (!(this instanceof ParticleSystem)) {
+      return new ParticleSystem(target, options);
     }
 
-    // Remove old shooting star styles
-    document.querySelectorAll('style[data-shooting-star]').forEach(s => s.remove());
+    let canvas, ctx;
+    let stars = [];
+    let nebulas = []; // Colorful space clouds
+    let clusters = []; // Distant star clusters/galaxies
+    let spaceDust = []; // Atmospheric dust particles
+    let animationId;
+    let shootingStars = []; // Streaks currently crossing the sky
+    let shootingStarClock = 0; // Accumulated spawn chances (see updateShootingStars)
+    let viewWidth = 0; // Drawing area in CSS pixels
+    let viewHeight = 0;
+    let sceneWidth = 0; // Viewport the current elements are laid out for
+    let sceneHeight = 0;
+    let deviceRatio = 1; // window.devicePixelRatio (workers are told it)
+    let pixelRatio = 1; // Backing store pixels per CSS pixel
+    let renderer = null; // Worker that owns the canvas, when rendering offscreen
+    let rendererQuality = null; // Last quality report from the worker
+    let currentSettings = {}; // Last resolved settings, reapplied on quality changes
+    let random = Math.random; // Scene generator, seeded by config.seed
+    let parallax = { x: 0, y: 0, scroll: 0 }; // Pointer/tilt in -1..1, scroll progress 0..1
+    let parallaxId = null; // Main-thread frame forwarding parallax input to the worker
+    let parallaxListening = false; // Input listeners that wake the forwarding
+    let tilt = null; // Smoothed device orientation, once enabled
+    let constellationLinks = []; // Pairs of nearby near-layer stars
+    let constellationTimer = 0; // Frames until the links are recomputed
+    let shapeKey = null; // Identifies the traced shape, to restart its reveal
+    let shapeProgress = 0; // Reveal of the traced shape, 0..1
+    let constellationClock = 0; // Seconds of animation, for the shape's shimmer
+    const holds = new Set(); // Why the loop is suspended: 'paused', 'hidden', 'covered'
+    let lastDrawTime = 0; // rAF time of the last drawn frame, for the battery saver cap
+    let battery = null; // BatteryManager, where the browser exposes one
+    let lowBattery = false; // Discharging at or below batterySaverLevel
+    let webgl = null; // WebGL backend while config.renderer is 'webgl', see createWebGLRenderer()
+    let webglPending = false; // The WebGL canvas holds drawing not composited yet
+    let webglFailed = false; // Unavailable or lost, so stay on 2D
+
+    // Frame-time monitor state for adaptive quality
+    const frameMonitor = {
+      sampleSize: 60,      // Frames averaged per decision
+      recoverAfter: 10000, // ms of headroom before stepping back up
+      lastTime: 0,
+      samples: [],
+      average: 0,
+      headroomSince: 0
+    };
+    let adaptiveIndex = 0; // Level chosen by the frame monitor
+    let qualityIndex = 0;  // Level in use (pinned by config, or adaptiveIndex)
+
+    // Active settings, reset from the defaults by setSettings()
+    const config = Object.assign({}, defaultConfig);
+    const colors = Object.assign({}, defaultColors);
+
+    // Options from the constructor and configure(), kept across pages
+    const runtimeOptions = Object.assign({}, options);
+    delete runtimeOptions.fullscreen;
+
+    // The page background fills the window; other instances fill their
+    // container and read data-particles-* from it instead of <body>
+    const fullscreen = !!(options && options.fullscreen);
+    const providedCanvas = target && target.tagName === 'CANVAS' ? target : null;
+    let container = null; // Element the canvas is sized to
+    let containerPosition = null; // Inline position we overrode, restored on destroy
+    let resizeObserver = null;
+
+    function init() {
+      if (canvas) return;
+
+      holds.clear();
+      createCanvas();
+
+      // Page settings (theme preset, data-particles-* attributes)
+      currentSettings = resolveSettings();
+      setSettings(currentSettings);
+      readViewport();
+
+      if (canRenderOffscreen()) {
+        startRenderer();
+      } else {
+        startScene();
+      }
+
+      // Event listeners
+      if (fullscreen || typeof ResizeObserver === 'undefined') {
+        window.addEventListener('resize', resizeCanvas);
+      } else {
+        resizeObserver = new ResizeObserver(resizeCanvas);
+        resizeObserver.observe(container);
+      }
+
+      // Opted-in tilt works straight away where no permission is needed
+      if (config.tilt && typeof DeviceOrientationEvent !== 'undefined' &&
+          typeof DeviceOrientationEvent.requestPermission !== 'function') {
+        enableTilt();
+      }
+
+      // Force repaint for backdrop-filter to work properly
+      forceBackdropFilterRefresh();
+
+      // Listen for page visibility changes
+      document.addEventListener('visibilitychange', handleVisibilityChange);
 
-    // Create container for CSS shooting stars
-    shootingStarsContainer = document.createElement('div');
-    shootingStarsContainer.className = 'shooting-stars-container';
+      // Listen for pageshow event (back/forward navigation)
+      window.addEventListener('pageshow', handlePageShow);
 
-    // Generate shooting stars with random positions across the viewport
-    for (let i = 0; i < config.shootingStarCount; i++) {
-      const star = document.createElement('div');
-      star.className = 'shooting_star';
+      // Nothing to draw behind the page transition overlay
+      document.addEventListener('page:covered', handleCovered);
+      document.addEventListener('page:uncovered', handleUncovered);
 
-      // Random position across the entire viewport (percentage-based)
-      const topPercent = Math.floor(Math.random() * 80); // 0% to 80% from top
-      const leftPercent = Math.floor(Math.random() * 80); // 0% to 80% from left
+      watchBattery();
 
-      // Longer, more random animation delays for less frequent appearance
-      const delay = Math.floor(Math.random() * 15000) + (i * 2000); // Staggered delays
+      // Created in a background tab or by a page module mounting mid-transition
+      if (document.visibilityState === 'hidden') {
+        hold('hidden');
+      }
+      if (window.PageTransitions && window.PageTransitions.isCovered()) {
+        hold('covered');
+      }
+    }
 
-      star.style.cssText = `
-        top: ${topPercent}%;
-        left: ${leftPercent}%;
-        animation-delay: ${delay}ms;
-      `;
+    function createCanvas() {
+      if (providedCanvas) {
+        // Used as-is and never handed to a worker, so it stays drawable
+        // after destroy() for another init()
+        canvas = providedCanvas;
+        container = canvas;
+        return;
+      }
 
-      // Add before/after delays via inline style
-      const style = document.createElement('style');
-      style.setAttribute('data-shooting-star', i);
-      style.textContent = `
-        .shooting_star:nth-child(${i + 1})::before,
-        .shooting_star:nth-child(${i + 1})::after {
-          animation-delay: ${delay}ms;
+      canvas = document.createElement('canvas');
+
+      if (fullscreen) {
+        canvas.id = 'particle-canvas';
+        canvas.style.cssText = `
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          z-index: 0;
+          pointer-events: none;
+        `;
+        container = document.body;
+      } else {
+        canvas.className = 'particle-canvas';
+        canvas.style.cssText = `
+          position: absolute;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          z-index: 0;
+          pointer-events: none;
+        `;
+        container = target;
+
+        // The canvas is positioned against its container
+        if (getComputedStyle(container).position === 'static') {
+          containerPosition = container.style.position;
+          container.style.position = 'relative';
         }
-      `;
-      document.head.appendChild(style);
+      }
 
-      shootingStarsContainer.appendChild(star);
+      container.prepend(canvas);
     }
 
-    document.body.appendChild(shootingStarsContainer);
-  }
+    // Stops everything and removes what init() added, leaving the instance
+    // ready for another init()
+    function destroy() {
+      if (!canvas) return;
+
+      stopLoop();
+      stopRenderer();
+
+      window.removeEventListener('resize', resizeCanvas);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pageshow', handlePageShow);
+      document.removeEventListener('page:covered', handleCovered);
+      document.removeEventListener('page:uncovered', handleUncovered);
+      if (battery) {
+        battery.removeEventListener('levelchange', updateBattery);
+        battery.removeEventListener('chargingchange', updateBattery);
+        battery = null;
+        lowBattery = false;
+      }
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+        resizeObserver = null;
+      }
+      if (tilt) {
+        window.removeEventListener('deviceorientation', handleOrientation);
+        tilt = null;
+      }
+
+      // Give page layers a chance to release what they hold
+      layers.forEach(layer => {
+        if (!layer.builtIn) {
+          callLayer(layer, 'destroy');
+        }
+      });
+
+      if (canvas === providedCanvas) {
+        if (ctx) {
+          ctx.setTransform(1, 0, 0, 1, 0, 0);
+          ctx.clearRect(0, 0, canvas.width, canvas.height);
+        }
+      } else {
+        canvas.remove();
+      }
+
+      if (containerPosition !== null) {
+        container.style.position = containerPosition;
+        containerPosition = null;
+      }
 
-  function updateStars() {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+      releaseWebGL();
+      webglFailed = false;
+
+      canvas = null;
+      ctx = null;
+      container = null;
+      stars = [];
+      nebulas = [];
+      clusters = [];
+      spaceDust = [];
+      shootingStars = [];
+      constellationLinks = [];
+      sceneWidth = 0;
+      sceneHeight = 0;
+    }
 
-    stars.forEach(star => {
-      // Update twinkle phase
-      star.twinklePhase += star.twinkleSpeed;
+    function pause() {
+      if (canvas) {
+        hold('paused');
+      }
+    }
 
-      // Calculate current opacity
-      star.currentOpacity = star.minOpacity +
-        (star.maxOpacity - star.minOpacity) *
-        (Math.sin(star.twinklePhase) * 0.5 + 0.5);
+    function resume() {
+      if (canvas) {
+        release('paused');
+      }
+    }
 
-      // Forward motion - move away from center
-      star.x += star.vx;
-      star.y += star.vy;
+    // The loop runs only while nothing holds it: pause() from the page, a
+    // hidden document or the transition overlay covering the canvas. The
+    // worker is told to pause once and resume when the last hold goes.
+    function hold(reason) {
+      const running = !holds.size;
+      holds.add(reason);
 
-      // Gradually increase size as stars move closer (perspective effect)
-      const dx = star.x - centerX;
-      const dy = star.y - centerY;
-      const currentDistance = Math.sqrt(dx * dx + dy * dy);
+      if (!running) return;
 
-      // Stars grow slightly as they "approach" the viewer
-      if (star.initialDistance > 0) {
-        const distanceRatio = currentDistance / star.initialDistance;
-        star.currentSize = star.size * (0.8 + distanceRatio * 0.4);
+      if (renderer) {
+        postToRenderer('pause');
+        stopParallaxForwarding();
       } else {
-        star.currentSize = star.size;
+        stopLoop();
       }
+    }
 
-      // Reset star when it goes off screen (continuous forward motion)
-      if (star.x < -10 || star.x > canvas.width + 10 ||
-          star.y < -10 || star.y > canvas.height + 10) {
-        // Respawn at random position across the screen (not just center)
-        star.x = Math.random() * canvas.width;
-        star.y = Math.random() * canvas.height;
-
-        // Recalculate velocity from new position based on layer
-        const newDx = star.x - centerX;
-        const newDy = star.y - centerY;
-        const newDistance = Math.sqrt(newDx * newDx + newDy * newDy);
-
-        let speed;
-        if (star.layer === 'distant') {
-          speed = 0.05 + Math.random() * 0.03;
-          star.size = Math.random() * 1 + 0.3;
-          star.color = colors.stellarColors.distant[Math.floor(Math.random() * colors.stellarColors.distant.length)];
-        } else if (star.layer === 'mid') {
-          speed = 0.12 + Math.random() * 0.08;
-          star.size = Math.random() * 1.5 + 0.5;
-          star.color = colors.stellarColors.mid[Math.floor(Math.random() * colors.stellarColors.mid.length)];
-        } else {
-          speed = 0.2 + Math.random() * 0.15;
-          star.size = Math.random() * 2.5 + 1;
-          star.color = colors.stellarColors.near[Math.floor(Math.random() * colors.stellarColors.near.length)];
+    function release(reason) {
+      if (!holds.delete(reason) || holds.size) return;
+
+      // Catch up on any resize missed while suspended
+      if (renderer) {
+        readViewport();
+        postToRenderer('resume', { viewport: viewport() });
+        startParallaxForwarding();
+      } else {
+        if (!isWorker) {
+          readViewport();
         }
+        resizeScene();
+        startLoop();
+      }
+    }
 
-        star.vx = newDistance > 0 ? (newDx / newDistance) * speed : 0;
-        star.vy = newDistance > 0 ? (newDy / newDistance) * speed : 0;
-        star.initialDistance = newDistance;
-        star.currentSize = star.size;
+    // Sets up the canvas on this thread: size, stars, first frame, loop
+    function startScene() {
+      ctx = canvas.getContext('2d');
+      syncWebGL();
+
+      // Set canvas size immediately (no debounce for initial setup)
+      sizeCanvas();
+
+      // Create stars immediately
+      createStars();
+
+      // Draw first frame immediately to ensure backdrop-filter has content to blur
+      drawFirstFrame();
+
+      // Start animation
+      startLoop();
+    }
+
+    function startLoop() {
+      if (!animationId && !holds.size) {
+        animate();
       }
-    });
-  }
+    }
 
-  function updateClusters() {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+    function stopLoop() {
+      if (animationId) {
+        cancelFrame(animationId);
+        animationId = null;
+      }
+      resetFrameMonitor();
+    }
 
-    clusters.forEach(cluster => {
-      cluster.pulsePhase += cluster.pulseSpeed;
-      cluster.currentOpacity = cluster.opacity * (0.7 + Math.sin(cluster.pulsePhase) * 0.3);
+    // Regenerates every element for the current size and settings
+    function regenerateScene() {
+      stopLoop();
+      sizeCanvas();
 
-      // Very slow forward motion
-      cluster.x += cluster.vx;
-      cluster.y += cluster.vy;
+      stars = [];
+      nebulas = [];
+      createStars();
 
-      // Reset when off screen
-      if (cluster.x < -cluster.size * 2 || cluster.x > canvas.width + cluster.size * 2 ||
-          cluster.y < -cluster.size * 2 || cluster.y > canvas.height + cluster.size * 2) {
-        cluster.x = Math.random() * canvas.width;
-        cluster.y = Math.random() * canvas.height;
+      // Draw first frame immediately
+      drawFirstFrame();
 
-        const dx = cluster.x - centerX;
-        const dy = cluster.y - centerY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const speed = 0.02 + Math.random() * 0.02;
-        cluster.vx = distance > 0 ? (dx / distance) * speed : 0;
-        cluster.vy = distance > 0 ? (dy / distance) * speed : 0;
-        cluster.color = colors.clusterColors[Math.floor(Math.random() * colors.clusterColors.length)];
+      // Restart animation
+      startLoop();
+    }
+
+    // Resizes the canvas and fits the running scene to it
+    function resizeScene() {
+      sizeCanvas();
+      fitScene();
+    }
+
+    // Keeps the sky continuous across resizes: positions scale with the
+    // viewport, motion is re-aimed at the new center and only the count
+    // difference for the new area is spawned or culled
+    function fitScene() {
+      if (!sceneWidth || !sceneHeight) {
+        createStars();
+        return;
       }
-    });
-  }
 
-  function updateSpaceDust() {
-    spaceDust.forEach(dust => {
-      dust.pulsePhase += dust.pulseSpeed;
-      dust.currentOpacity = dust.opacity * (0.6 + Math.sin(dust.pulsePhase) * 0.4);
+      const scaleX = viewWidth / sceneWidth;
+      const scaleY = viewHeight / sceneHeight;
 
-      // Slow drift
-      dust.x += dust.vx;
-      dust.y += dust.vy;
+      stars.forEach(star => {
+        // Keep the perspective growth where it was
+        star.initialDistance *= rescale(star, scaleX, scaleY);
+      });
+      nebulas.forEach(nebula => rescale(nebula, scaleX, scaleY));
+      clusters.forEach(cluster => rescale(cluster, scaleX, scaleY));
 
-      // Wrap around screen edges
-      if (dust.x < 0) dust.x = canvas.width;
-      if (dust.x > canvas.width) dust.x = 0;
-      if (dust.y < 0) dust.y = canvas.height;
-      if (dust.y > canvas.height) dust.y = 0;
-    });
-  }
+      // Dust and shooting stars don't move radially, so only move them
+      spaceDust.concat(shootingStars).forEach(item => {
+        item.x *= scaleX;
+        item.y *= scaleY;
+      });
 
-  function drawStars() {
-    stars.forEach(star => {
-      const size = star.currentSize || star.size;
+      sceneWidth = viewWidth;
+      sceneHeight = viewHeight;
 
-      ctx.beginPath();
-      ctx.arc(star.x, star.y, size, 0, Math.PI * 2);
-      ctx.fillStyle = star.color + star.currentOpacity + ')';
-      ctx.fill();
+      syncCounts();
+    }
 
-      // Add glow effect for brighter stars
-      if (star.currentOpacity > 0.6 && size > 1.5) {
-        ctx.beginPath();
-        ctx.arc(star.x, star.y, size * 2, 0, Math.PI * 2);
-        const gradient = ctx.createRadialGradient(
-          star.x, star.y, 0,
-          star.x, star.y, size * 2
-        );
-        gradient.addColorStop(0, star.color + (star.currentOpacity * 0.3) + ')');
-        gradient.addColorStop(1, star.color + '0)');
-        ctx.fillStyle = gradient;
-        ctx.fill();
+    // Moves an element to its proportional position and points its motion
+    // away from the new center at the same speed. Returns how much its
+    // distance from the center changed.
+    function rescale(item, scaleX, scaleY) {
+      const speed = Math.sqrt(item.vx * item.vx + item.vy * item.vy);
+      const dx = item.x - sceneWidth / 2;
+      const dy = item.y - sceneHeight / 2;
+      const previousDistance = Math.sqrt(dx * dx + dy * dy);
+
+      item.x *= scaleX;
+      item.y *= scaleY;
+
+      const motion = radialVelocity(item.x, item.y, speed);
+      item.vx = motion.vx;
+      item.vy = motion.vy;
+
+      return previousDistance > 0 ? motion.distance / previousDistance : 1;
+    }
+
+    // =============================================
+    // Offscreen Renderer
+    // =============================================
+
+    function canRenderOffscreen() {
+      return config.offscreen !== false &&
+        canvas !== providedCanvas &&
+        !!scriptUrl &&
+        typeof Worker !== 'undefined' &&
+        typeof canvas.transferControlToOffscreen === 'function';
+    }
+
+    // Hands the canvas to a worker running this file; the main thread keeps
+    // the DOM work (settings, events) and forwards changes
+    function startRenderer() {
+      const offscreen = canvas.transferControlToOffscreen();
+
+      renderer = new Worker(scriptUrl);
+      renderer.addEventListener('message', handleRendererMessage);
+      renderer.addEventListener('error', handleRendererError);
+      renderer.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        viewport: viewport(),
+        settings: currentSettings
+      }, [offscreen]);
+
+      startParallaxForwarding();
+    }
+
+    function handleRendererMessage(event) {
+      if (event.data.type === 'quality') {
+        rendererQuality = event.data.quality;
       }
-    });
-  }
+    }
 
-  function updateNebulas() {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-
-    nebulas.forEach(nebula => {
-      // Pulse effect
-      nebula.pulsePhase += nebula.pulseSpeed;
-      nebula.currentOpacity = nebula.opacity * (0.7 + Math.sin(nebula.pulsePhase) * 0.3);
-
-      // Forward motion - move away from center
-      nebula.x += nebula.vx;
-      nebula.y += nebula.vy;
-
-      // Reset nebula when it goes off screen
-      if (nebula.x < -nebula.size * 2 || nebula.x > canvas.width + nebula.size * 2 ||
-          nebula.y < -nebula.size * 2 || nebula.y > canvas.height + nebula.size * 2) {
-        // Respawn at random position
-        nebula.x = Math.random() * canvas.width;
-        nebula.y = Math.random() * canvas.height;
-
-        // Recalculate velocity (moving away from center)
-        const dx = nebula.x - centerX;
-        const dy = nebula.y - centerY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const speed = 0.08 + Math.random() * 0.04;
-        nebula.vx = distance > 0 ? (dx / distance) * speed : 0;
-        nebula.vy = distance > 0 ? (dy / distance) * speed : 0;
+    // The worker failed to load or crashed: render on the main thread
+    function handleRendererError(event) {
+      event.preventDefault();
+      moveToMainThread();
+    }
+
+    // A transferred canvas cannot be drawn on again, so swap in a fresh one
+    // and regenerate the scene here
+    function moveToMainThread() {
+      stopRenderer();
 
-        // Randomize color and size on respawn
-        nebula.color = colors.nebulaColors[Math.floor(Math.random() * colors.nebulaColors.length)];
-        nebula.size = config.nebulaMinSize + Math.random() * (config.nebulaMaxSize - config.nebulaMinSize);
+      const replacement = canvas.cloneNode(false);
+      canvas.replaceWith(replacement);
+      canvas = replacement;
+
+      startScene();
+    }
+
+    function stopRenderer() {
+      if (!renderer) return;
+
+      renderer.terminate();
+      renderer = null;
+      rendererQuality = null;
+      stopParallaxForwarding();
+    }
+
+    function postToRenderer(type, data) {
+      renderer.postMessage(Object.assign({ type: type }, data));
+    }
+
+    function readViewport() {
+      if (fullscreen) {
+        viewWidth = window.innerWidth;
+        viewHeight = window.innerHeight;
+      } else {
+        viewWidth = canvas.clientWidth;
+        viewHeight = canvas.clientHeight;
       }
-    });
-  }
+      deviceRatio = window.devicePixelRatio || 1;
+    }
 
-  function drawNebulas() {
-    nebulas.forEach(nebula => {
-      const gradient = ctx.createRadialGradient(
-        nebula.x, nebula.y, 0,
-        nebula.x, nebula.y, nebula.size
-      );
+    function viewport() {
+      return { width: viewWidth, height: viewHeight, deviceRatio: deviceRatio };
+    }
 
-      const { r, g, b } = nebula.color;
-      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity})`);
-      gradient.addColorStop(0.4, `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity * 0.5})`);
-      gradient.addColorStop(0.7, `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity * 0.2})`);
-      gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+    // =============================================
+    // WebGL Backend
+    // =============================================
 
-      ctx.beginPath();
-      ctx.arc(nebula.x, nebula.y, nebula.size, 0, Math.PI * 2);
-      ctx.fillStyle = gradient;
-      ctx.fill();
-    });
-  }
+    // Starts or stops the WebGL backend to match config.renderer
+    function syncWebGL() {
+      const wanted = config.renderer === 'webgl' && !webglFailed;
 
-  function drawClusters() {
-    ctx.save();
-    clusters.forEach(cluster => {
-      const { r, g, b } = cluster.color;
-      const opacity = cluster.currentOpacity || cluster.opacity;
+      if (wanted && !webgl) {
+        webgl = createWebGLRenderer(handleWebGLLost);
+        if (!webgl) {
+          webglFailed = true;
+          return;
+        }
+        webgl.resize(viewWidth, viewHeight, pixelRatio);
+      } else if (!wanted && webgl) {
+        releaseWebGL();
+      }
+    }
 
-      // Draw elongated ellipse for galaxy shape
-      ctx.save();
-      ctx.translate(cluster.x, cluster.y);
-      ctx.rotate(cluster.rotation);
-      ctx.scale(1, cluster.elongation);
-
-      const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, cluster.size);
-      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${opacity * 1.5})`);
-      gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${opacity})`);
-      gradient.addColorStop(0.6, `rgba(${r}, ${g}, ${b}, ${opacity * 0.4})`);
-      gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
-
-      ctx.beginPath();
-      ctx.arc(0, 0, cluster.size, 0, Math.PI * 2);
-      ctx.fillStyle = gradient;
-      ctx.fill();
+    function releaseWebGL() {
+      if (webgl) {
+        webgl.destroy();
+        webgl = null;
+      }
+      webglPending = false;
+    }
+
+    // The GPU dropped the context (driver reset, too many contexts): carry
+    // on in 2D from the next frame
+    function handleWebGLLost() {
+      webgl = null;
+      webglPending = false;
+      webglFailed = true;
+    }
+
+    // Composites what the WebGL layers drew so far onto the 2D canvas
+    function flushWebGL() {
+      if (!webglPending) return;
 
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.drawImage(webgl.canvas, 0, 0);
       ctx.restore();
-    });
-    ctx.restore();
-  }
 
-  function drawSpaceDust() {
-    spaceDust.forEach(dust => {
-      const opacity = dust.currentOpacity || dust.opacity;
-      ctx.beginPath();
-      ctx.arc(dust.x, dust.y, dust.size, 0, Math.PI * 2);
-      ctx.fillStyle = `rgba(200, 200, 220, ${opacity})`;
-      ctx.fill();
-    });
-  }
+      webgl.clear();
+      webglPending = false;
+    }
 
-  function drawVignette() {
-    // Subtle dark vignette around edges for cinematic deep space feel
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const maxRadius = Math.sqrt(centerX * centerX + centerY * centerY);
-
-    const gradient = ctx.createRadialGradient(
-      centerX, centerY, maxRadius * 0.4,
-      centerX, centerY, maxRadius
-    );
-    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-    gradient.addColorStop(0.7, 'rgba(0, 0, 0, 0.1)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.4)');
-
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-  }
+    // Worker side: the page drives everything through messages
+    function handleWorkerMessage(event) {
+      const data = event.data;
 
-  function animate() {
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Update all elements
-    updateClusters();
-    updateNebulas();
-    updateSpaceDust();
-    updateStars();
-
-    // Draw (order matters - back to front)
-    drawClusters();    // Farthest back - distant galaxies
-    drawNebulas();     // Nebula clouds
-    drawSpaceDust();   // Atmospheric dust
-    drawStars();       // Stars (layered by depth)
-    drawVignette();    // Top layer - cinematic vignette
-    // Note: Shooting stars are now CSS-animated (separate from canvas)
-
-    // Continue animation
-    animationId = requestAnimationFrame(animate);
-  }
+      if (data.viewport) {
+        viewWidth = data.viewport.width;
+        viewHeight = data.viewport.height;
+        deviceRatio = data.viewport.deviceRatio;
+      }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+      if (data.settings) {
+        currentSettings = data.settings;
+      }
 
-  // Public API for cleanup
-  window.ParticleSystem = {
-    destroy: function() {
-      if (animationId) {
-        cancelAnimationFrame(animationId);
+      switch (data.type) {
+        case 'init':
+          canvas = data.canvas;
+          setSettings(currentSettings);
+          startScene();
+          reportQuality();
+          break;
+        case 'resize':
+          resizeScene();
+          break;
+        case 'config':
+          updateScene(currentSettings);
+          reportQuality();
+          break;
+        case 'pause':
+          hold('paused');
+          break;
+        case 'resume':
+          release('paused');
+          break;
+        case 'battery':
+          lowBattery = data.low;
+          reportQuality();
+          break;
+        case 'reinit':
+          setSettings(currentSettings);
+          regenerateScene();
+          break;
+        case 'remove-layer':
+          removeLayer(data.id);
+          break;
+        case 'parallax':
+          parallax = data.parallax;
+          break;
+        case 'respawn':
+          createStars();
+          break;
       }
-      if (shootingStarIntervalId) {
-        clearInterval(shootingStarIntervalId);
+    }
+
+    // Keeps getQuality() on the page in sync with the worker
+    function reportQuality() {
+      if (isWorker) {
+        self.postMessage({ type: 'quality', quality: qualityInfo() });
       }
-      clearTimeout(resizeTimeout);
-      window.removeEventListener('resize', resizeCanvas);
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
-      window.removeEventListener('pageshow', handlePageShow);
-      const canvasEl = document.getElementById('particle-canvas');
-      if (canvasEl) canvasEl.remove();
-    },
-    respawn: function() {
-      createStars();
-    },
-    reinit: function() {
-      reinitialize();
-    },
-    resize: function() {
-      resizeCanvas();
     }
-  };
+
+    // =============================================
+    // Parallax
+    // =============================================
+
+    // Reads the page's parallax inputs: the pointer position smoothed by
+    // cursor-glow.js (or device tilt when there is no pointer) and how far
+    // down the page we have scrolled
+    function readParallax() {
+      const pointer = window.CursorGlow && window.CursorGlow.getPosition();
+      let x = 0;
+      let y = 0;
+
+      if (pointer && pointer.active) {
+        x = pointer.x / window.innerWidth * 2 - 1;
+        y = pointer.y / window.innerHeight * 2 - 1;
+      } else if (tilt && config.tilt) {
+        tilt.x += (tilt.targetX - tilt.x) * 0.1;
+        tilt.y += (tilt.targetY - tilt.y) * 0.1;
+        x = tilt.x;
+        y = tilt.y;
+      }
+
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+
+      return {
+        x: x,
+        y: y,
+        scroll: scrollable > 0 ? Math.min(window.scrollY / scrollable, 1) : 0
+      };
+    }
+
+    // Shift for a layer at the given depth (1 = near layer)
+    function parallaxOffset(depth) {
+      return {
+        x: -parallax.x * config.parallax * depth,
+        y: (-parallax.y * config.parallax - parallax.scroll * config.scrollParallax) * depth
+      };
+    }
+
+    // The worker can't see the pointer or scroll position, so forward them.
+    // Scroll, pointer and tilt input start a frame loop that follows the
+    // smoothed values and stops once they settle; with parallax off there
+    // is nothing to forward at all.
+    function startParallaxForwarding() {
+      if (parallaxListening || (!config.parallax && !config.scrollParallax)) return;
+
+      parallaxListening = true;
+      window.addEventListener('scroll', scheduleParallax, { passive: true });
+      document.addEventListener('mousemove', scheduleParallax, { passive: true });
+      scheduleParallax();
+    }
+
+    function stopParallaxForwarding() {
+      if (!parallaxListening) return;
+
+      parallaxListening = false;
+      window.removeEventListener('scroll', scheduleParallax);
+      document.removeEventListener('mousemove', scheduleParallax);
+      if (parallaxId) {
+        cancelAnimationFrame(parallaxId);
+        parallaxId = null;
+      }
+    }
+
+    function scheduleParallax() {
+      if (!parallaxId) {
+        parallaxId = requestAnimationFrame(forwardParallax);
+      }
+    }
+
+    function forwardParallax() {
+      parallaxId = null;
+      const next = readParallax();
+
+      if (Math.abs(next.x - parallax.x) > 0.001 ||
+          Math.abs(next.y - parallax.y) > 0.001 ||
+          Math.abs(next.scroll - parallax.scroll) > 0.001) {
+        parallax = next;
+        postToRenderer('parallax', { parallax: parallax });
+
+        // Still easing toward the input
+        scheduleParallax();
+      }
+    }
+
+    // Listens for device orientation. Where the browser asks for permission
+    // (iOS) this must run from a user gesture, e.g. a tap on a toggle.
+    function enableTilt() {
+      const request = typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function'
+        ? DeviceOrientationEvent.requestPermission()
+        : Promise.resolve('granted');
+
+      return request.then(state => {
+        if (state !== 'granted') return false;
+
+        if (!tilt) {
+          tilt = { x: 0, y: 0, targetX: 0, targetY: 0 };
+          window.addEventListener('deviceorientation', handleOrientation);
+        }
+        return true;
+      });
+    }
+
+    function handleOrientation(event) {
+      if (event.gamma === null || event.beta === null) return;
+
+      // About +-30deg of tilt around a phone held at 45deg covers the range
+      tilt.targetX = Math.max(-1, Math.min(1, event.gamma / 30));
+      tilt.targetY = Math.max(-1, Math.min(1, (event.beta - 45) / 30));
+
+      if (parallaxListening) {
+        scheduleParallax();
+      }
+    }
+
+    // =============================================
+    // Settings
+    // =============================================
+
+    // Builds settings for the current page: defaults, then the theme preset,
+    // a named preset, data-particles-* attributes and finally configure() options
+    function resolveSettings() {
+      const settings = {};
+      const body = document.body;
+      const element = fullscreen || !container ? body : container;
+
+      Object.keys(presets).forEach(name => {
+        if (name.indexOf('theme-') === 0 && body.classList.contains(name)) {
+          Object.assign(settings, presets[name]);
+        }
+      });
+
+      const presetName = runtimeOptions.preset || element.getAttribute('data-particles-preset');
+      if (presetName && presets[presetName]) {
+        Object.assign(settings, presets[presetName]);
+      }
+
+      Object.assign(settings, readDataAttributes(element), runtimeOptions);
+
+      // Workers can't see media queries, so resolve this here
+      if (reducedMotion.matches) {
+        settings.shootingStarRate = 0;
+        settings.parallax = 0;
+        settings.scrollParallax = 0;
+      }
+
+      return settings;
+    }
+
+    // Replaces the active config/colors with defaults + settings
+    function setSettings(settings) {
+      Object.assign(config, defaultConfig);
+      Object.assign(colors, defaultColors);
+
+      Object.keys(settings).forEach(key => {
+        if (key in defaultConfig) {
+          config[key] = settings[key];
+        } else if (key in defaultColors) {
+          colors[key] = settings[key];
+        }
+      });
+
+      qualityIndex = resolveQualityIndex();
+
+      // A new shape traces itself in from the start
+      const key = JSON.stringify(config.constellationShape);
+      if (key !== shapeKey) {
+        shapeKey = key;
+        shapeProgress = 0;
+      }
+    }
+
+    // Re-reads the page's settings and applies them live, in the worker
+    // when it owns the canvas
+    function applySettings() {
+      currentSettings = resolveSettings();
+
+      if (renderer) {
+        setSettings(currentSettings);
+        postToRenderer('config', { settings: currentSettings });
+
+        // Parallax may have been switched on or off
+        stopParallaxForwarding();
+        if (!holds.size) {
+          startParallaxForwarding();
+        }
+      } else {
+        updateScene(currentSettings);
+      }
+
+      // batterySaverLevel may have moved past the current charge
+      if (battery) {
+        updateBattery();
+      }
+    }
+
+    // Applies settings to the running scene without regenerating it:
+    // counts grow or shrink by the difference, and elements whose color
+    // is no longer in the palette pick a new one
+    function updateScene(settings) {
+      const previousNebulaOpacity = config.nebulaOpacity;
+      const previousRatio = pixelRatio;
+      const previousSeed = config.seed;
+
+      setSettings(settings);
+
+      if (!ctx) return;
+
+      syncWebGL();
+
+      if (targetPixelRatio() !== previousRatio) {
+        sizeCanvas();
+      }
+
+      // A different seed means a different sky, not a blend
+      if (config.seed !== previousSeed) {
+        createStars();
+        return;
+      }
+
+      syncCounts();
+
+      stars.forEach(star => {
+        const palette = colors.stellarColors[star.layer];
+        if (!inPalette(palette, star.color)) {
+          star.color = randomItem(palette);
+        }
+      });
+
+      nebulas.forEach(nebula => {
+        if (!inPalette(colors.nebulaColors, nebula.color)) {
+          nebula.color = randomItem(colors.nebulaColors);
+        }
+        nebula.size = Math.min(Math.max(nebula.size, config.nebulaMinSize), config.nebulaMaxSize);
+        if (previousNebulaOpacity > 0) {
+          nebula.opacity *= config.nebulaOpacity / previousNebulaOpacity;
+        }
+      });
+
+      clusters.forEach(cluster => {
+        if (!inPalette(colors.clusterColors, cluster.color)) {
+          cluster.color = randomItem(colors.clusterColors);
+        }
+      });
+    }
+
+    // Grows or shrinks each element list to its target count
+    function syncCounts() {
+      Object.keys(starLayers).forEach(layer => {
+        const layerStars = stars.filter(star => star.layer === layer);
+        const target = countFor(starLayers[layer].countKey);
+
+        for (let i = layerStars.length; i < target; i++) {
+          stars.push(createStar(layer));
+        }
+
+        if (layerStars.length > target) {
+          const removed = new Set(layerStars.slice(target));
+          stars = stars.filter(star => !removed.has(star));
+        }
+      });
+
+      nebulas = resizeList(nebulas, countFor('nebulaCount'), createNebula);
+      clusters = resizeList(clusters, countFor('clusterCount'), createCluster);
+      spaceDust = resizeList(spaceDust, countFor('dustCount'), createDust);
+    }
+
+    function targetPixelRatio() {
+      return Math.min(deviceRatio, config.maxPixelRatio, qualityLevels[qualityIndex].pixelRatio);
+    }
+
+    // Sizes the backing store by devicePixelRatio and scales the context so
+    // all drawing code keeps working in CSS pixels
+    function sizeCanvas() {
+      pixelRatio = targetPixelRatio();
+
+      canvas.width = Math.round(viewWidth * pixelRatio);
+      canvas.height = Math.round(viewHeight * pixelRatio);
+      ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+      if (webgl) {
+        webgl.resize(viewWidth, viewHeight, pixelRatio);
+      }
+    }
+
+    // =============================================
+    // Adaptive Quality
+    // =============================================
+
+    // Level for the current config: pinned by name, or the adaptive one
+    function resolveQualityIndex() {
+      const pinned = qualityLevels.findIndex(level => level.name === config.quality);
+      return pinned === -1 ? adaptiveIndex : pinned;
+    }
+
+    function setAdaptiveQuality(index) {
+      adaptiveIndex = index;
+      resetFrameMonitor();
+      updateScene(currentSettings);
+    }
+
+    function qualityInfo() {
+      const level = qualityLevels[qualityIndex];
+      return {
+        level: level.name,
+        mode: config.quality,
+        scale: level.scale,
+        gradients: level.gradients,
+        pixelRatio: pixelRatio,
+        frameTime: frameMonitor.average,
+        batterySaver: !!frameInterval(),
+        renderer: webgl ? 'webgl' : '2d'
+      };
+    }
+
+    function resetFrameMonitor() {
+      frameMonitor.lastTime = 0;
+      frameMonitor.samples = [];
+      frameMonitor.headroomSince = 0;
+      lastDrawTime = 0;
+    }
+
+    // Called once per frame with the rAF timestamp; averages frame times
+    // in batches of sampleSize
+    function monitorFrame(time) {
+      const elapsed = frameMonitor.lastTime ? time - frameMonitor.lastTime : 0;
+      frameMonitor.lastTime = time;
+
+      // Skip the first frame and gaps from background tabs or paused loops
+      if (elapsed <= 0 || elapsed > 250) return;
+
+      frameMonitor.samples.push(elapsed);
+      if (frameMonitor.samples.length < frameMonitor.sampleSize) return;
+
+      frameMonitor.average = frameMonitor.samples.reduce((sum, value) => sum + value, 0) / frameMonitor.samples.length;
+      frameMonitor.samples = [];
+
+      adaptQuality(time);
+      reportQuality();
+    }
+
+    // Steps quality down when the average frame time exceeds the budget,
+    // and back up after a sustained period well under it
+    function adaptQuality(time) {
+      if (config.quality !== 'auto') return;
+
+      if (frameMonitor.average > config.frameBudget) {
+        if (qualityIndex < qualityLevels.length - 1) {
+          setAdaptiveQuality(qualityIndex + 1);
+        }
+        return;
+      }
+
+      if (frameMonitor.average < config.frameBudget * 0.6 && qualityIndex > 0) {
+        if (!frameMonitor.headroomSince) {
+          frameMonitor.headroomSince = time;
+        } else if (time - frameMonitor.headroomSince > frameMonitor.recoverAfter) {
+          setAdaptiveQuality(qualityIndex - 1);
+        }
+      } else {
+        frameMonitor.headroomSince = 0;
+      }
+    }
+
+    function drawFirstFrame() {
+      // Draw all elements once immediately
+      ctx.clearRect(0, 0, viewWidth, viewHeight);
+
+      // Initialize current values for first draw
+      stars.forEach(star => {
+        star.currentOpacity = star.minOpacity + (star.maxOpacity - star.minOpacity) * 0.5;
+        star.currentSize = star.size;
+      });
+      nebulas.forEach(nebula => {
+        nebula.currentOpacity = nebula.opacity;
+      });
+      clusters.forEach(cluster => {
+        cluster.currentOpacity = cluster.opacity;
+      });
+      spaceDust.forEach(dust => {
+        dust.currentOpacity = dust.opacity;
+      });
+
+      drawFrame();
+    }
+
+    function forceBackdropFilterRefresh() {
+      // Only the page background sits behind the glass panels
+      if (!fullscreen) return;
+
+      // Force browser to recalculate backdrop-filter by toggling a property
+      const glassElements = document.querySelectorAll('.hero-card-glass, .detail-container, .about-card, .timeline-header');
+
+      glassElements.forEach(el => {
+        // Force recomposite
+        el.style.transform = 'translateZ(0)';
+      });
+
+      // Additional refresh after a short delay to catch late-rendering elements
+      setTimeout(() => {
+        glassElements.forEach(el => {
+          el.style.transform = '';
+          // Force another reflow
+          void el.offsetHeight;
+          el.style.transform = 'translateZ(0)';
+        });
+      }, 50);
+
+      // Final cleanup
+      setTimeout(() => {
+        glassElements.forEach(el => {
+          el.style.transform = '';
+        });
+      }, 150);
+    }
+
+    // Hidden pages may keep worker frames running, so suspend explicitly
+    function handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        hold('hidden');
+      } else {
+        release('hidden');
+      }
+    }
+
+    function handleCovered() {
+      hold('covered');
+    }
+
+    function handleUncovered() {
+      release('covered');
+    }
+
+    // =============================================
+    // Battery Saver
+    // =============================================
+
+    function watchBattery() {
+      if (typeof navigator.getBattery !== 'function') return;
+
+      navigator.getBattery().then(manager => {
+        // Destroyed, or already watching after a quick re-init
+        if (!canvas || battery) return;
+
+        battery = manager;
+        battery.addEventListener('levelchange', updateBattery);
+        battery.addEventListener('chargingchange', updateBattery);
+        updateBattery();
+      }).catch(() => {});
+    }
+
+    function updateBattery() {
+      const low = !battery.charging && battery.level <= config.batterySaverLevel;
+      if (low === lowBattery) return;
+
+      lowBattery = low;
+      if (renderer) {
+        postToRenderer('battery', { low: low });
+      }
+    }
+
+    // Minimum ms between drawn frames, or 0 when the rate is not capped
+    function frameInterval() {
+      const saving = config.batterySaver === true || (config.batterySaver === 'auto' && lowBattery);
+      return saving && config.batterySaverFps > 0 ? 1000 / config.batterySaverFps : 0;
+    }
+
+    function handlePageShow(event) {
+      // If page is loaded from cache (back/forward), reinitialize
+      if (event.persisted || performance.getEntriesByType('navigation')[0]?.type === 'back_forward') {
+        reinitialize();
+      } else {
+        // Regular page load - just ensure canvas is sized correctly
+        resizeCanvas();
+      }
+    }
+
+    function reinitialize() {
+      // Reset settings and canvas size, then recreate all elements
+      currentSettings = resolveSettings();
+      setSettings(currentSettings);
+      readViewport();
+
+      if (renderer) {
+        postToRenderer('reinit', { settings: currentSettings, viewport: viewport() });
+      } else {
+        regenerateScene();
+      }
+
+      // Force backdrop-filter refresh
+      forceBackdropFilterRefresh();
+    }
+
+    function resizeCanvas() {
+      // Resizing clears the canvas and a held loop would leave it blank;
+      // release() fits the scene to whatever size it ends up at
+      if (holds.size) return;
+
+      readViewport();
+
+      if (renderer) {
+        postToRenderer('resize', { viewport: viewport() });
+      } else {
+        resizeScene();
+      }
+    }
+
+    function randomIn(range) {
+      return range[0] + random() * range[1];
+    }
+
+    function randomItem(items) {
+      return items[Math.floor(random() * items.length)];
+    }
+
+    // Effective count for a config key, scaled by viewport area, density
+    // and quality. Area is clamped so phones aren't bare and huge screens
+    // aren't swamped.
+    function countFor(key) {
+      const area = Math.min(Math.max(viewWidth * viewHeight / config.referenceArea, 0.25), 2);
+      return Math.max(0, Math.round(config[key] * area * config.density * qualityLevels[qualityIndex].scale));
+    }
+
+    // Velocity pointing away from the canvas center (forward motion)
+    function radialVelocity(x, y, speed) {
+      const dx = x - viewWidth / 2;
+      const dy = y - viewHeight / 2;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      return {
+        vx: distance > 0 ? (dx / distance) * speed : 0,
+        vy: distance > 0 ? (dy / distance) * speed : 0,
+        distance: distance
+      };
+    }
+
+    function createStar(layer) {
+      const star = { layer: layer };
+      placeStar(star);
+
+      const def = starLayers[layer];
+      star.twinkleSpeed = randomIn(def.twinkleSpeed);
+      star.twinklePhase = random() * Math.PI * 2;
+      star.minOpacity = randomIn(def.minOpacity);
+      star.maxOpacity = randomIn(def.maxOpacity);
+      star.currentOpacity = star.minOpacity + (star.maxOpacity - star.minOpacity) * 0.5;
+
+      return star;
+    }
+
+    // Random position, size, color and velocity for a (re)spawned star
+    function placeStar(star) {
+      const def = starLayers[star.layer];
+
+      star.x = random() * viewWidth;
+      star.y = random() * viewHeight;
+      star.size = randomIn(def.size);
+      star.currentSize = star.size;
+      star.color = randomItem(colors.stellarColors[star.layer]);
+
+      const motion = radialVelocity(star.x, star.y, randomIn(def.speed));
+      star.vx = motion.vx;
+      star.vy = motion.vy;
+      star.initialDistance = motion.distance;
+    }
+
+    // Generates the whole scene: every layer creates its elements
+    function createStars() {
+      // Restart the sequence so a seed always yields the same scene
+      random = createRandom(config.seed);
+
+      sceneWidth = viewWidth;
+      sceneHeight = viewHeight;
+
+      forEachLayer('create');
+    }
+
+    function createStarField() {
+      stars = [];
+
+      Object.keys(starLayers).forEach(layer => {
+        const count = countFor(starLayers[layer].countKey);
+        for (let i = 0; i < count; i++) {
+          stars.push(createStar(layer));
+        }
+      });
+    }
+
+    function createNebula() {
+      const x = random() * viewWidth;
+      const y = random() * viewHeight;
+
+      // Slower forward motion for nebulas
+      const motion = radialVelocity(x, y, 0.08 + random() * 0.04);
+
+      return {
+        x: x,
+        y: y,
+        size: config.nebulaMinSize + random() * (config.nebulaMaxSize - config.nebulaMinSize),
+        color: randomItem(colors.nebulaColors),
+        opacity: config.nebulaOpacity * (0.5 + random() * 0.5),
+        pulseSpeed: 0.002 + random() * 0.003,
+        pulsePhase: random() * Math.PI * 2,
+        // Forward motion - moving away from center
+        vx: motion.vx,
+        vy: motion.vy
+      };
+    }
+
+    function createNebulas() {
+      nebulas = [];
+      const count = countFor('nebulaCount');
+
+      for (let i = 0; i < count; i++) {
+        nebulas.push(createNebula());
+      }
+    }
+
+    function createCluster() {
+      const x = random() * viewWidth;
+      const y = random() * viewHeight;
+
+      // Very slow movement for distant galaxies
+      const motion = radialVelocity(x, y, 0.02 + random() * 0.02);
+
+      return {
+        x: x,
+        y: y,
+        size: config.clusterMinSize + random() * (config.clusterMaxSize - config.clusterMinSize),
+        color: randomItem(colors.clusterColors),
+        opacity: 0.03 + random() * 0.04, // Very faint
+        pulseSpeed: 0.001 + random() * 0.002,
+        pulsePhase: random() * Math.PI * 2,
+        vx: motion.vx,
+        vy: motion.vy,
+        // Cluster shape variation
+        elongation: 0.6 + random() * 0.8,
+        rotation: random() * Math.PI * 2
+      };
+    }
+
+    function createClusters() {
+      clusters = [];
+      const count = countFor('clusterCount');
+
+      for (let i = 0; i < count; i++) {
+        clusters.push(createCluster());
+      }
+    }
+
+    function createDust() {
+      return {
+        x: random() * viewWidth,
+        y: random() * viewHeight,
+        size: random() * 1.5 + 0.5,
+        opacity: 0.05 + random() * 0.1,
+        // Slow random drift (not tied to center)
+        vx: (random() - 0.5) * 0.1,
+        vy: (random() - 0.5) * 0.1,
+        // Subtle pulsing
+        pulseSpeed: 0.003 + random() * 0.005,
+        pulsePhase: random() * Math.PI * 2
+      };
+    }
+
+    function createSpaceDust() {
+      spaceDust = [];
+      const count = countFor('dustCount');
+
+      for (let i = 0; i < count; i++) {
+        spaceDust.push(createDust());
+      }
+    }
+
+    // A streak on one of the depth layers: farther layers are dimmer, thinner
+    // and slower. Heads travel down and to the right with a little spread.
+    function createShootingStar() {
+      const layer = randomItem(Object.keys(starLayers));
+      const def = starLayers[layer].shootingStar;
+      const angle = Math.PI / 4 + (random() - 0.5) * 0.6;
+      const speed = randomIn(def.speed);
+
+      return {
+        layer: layer,
+        x: random() * viewWidth * 0.8,
+        y: random() * viewHeight * 0.6,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        length: randomIn(def.length),
+        width: def.width,
+        brightness: def.brightness,
+        age: 0,
+        life: Math.round(40 + random() * 40) // Frames
+      };
+    }
+
+    function updateShootingStars() {
+      // Frame-based like the rest of the scene: rate / 60 chances per frame
+      shootingStarClock += config.shootingStarRate / 60;
+      while (shootingStarClock >= 1) {
+        shootingStarClock -= 1;
+        if (shootingStars.length < config.shootingStarMax) {
+          shootingStars.push(createShootingStar());
+        }
+      }
+
+      shootingStars.forEach(star => {
+        star.x += star.vx;
+        star.y += star.vy;
+
+        // Atmospheric drag slows the streak as it burns out
+        star.vx *= 0.99;
+        star.vy *= 0.99;
+        star.age++;
+      });
+
+      shootingStars = shootingStars.filter(star => star.age < star.life);
+    }
+
+    function updateStars() {
+      const centerX = viewWidth / 2;
+      const centerY = viewHeight / 2;
+
+      stars.forEach(star => {
+        // Update twinkle phase
+        star.twinklePhase += star.twinkleSpeed;
+
+        // Calculate current opacity
+        star.currentOpacity = star.minOpacity +
+          (star.maxOpacity - star.minOpacity) *
+          (Math.sin(star.twinklePhase) * 0.5 + 0.5);
+
+        // Forward motion - move away from center
+        star.x += star.vx;
+        star.y += star.vy;
+
+        // Gradually increase size as stars move closer (perspective effect)
+        const dx = star.x - centerX;
+        const dy = star.y - centerY;
+        const currentDistance = Math.sqrt(dx * dx + dy * dy);
+
+        // Stars grow slightly as they "approach" the viewer
+        if (star.initialDistance > 0) {
+          const distanceRatio = currentDistance / star.initialDistance;
+          star.currentSize = star.size * (0.8 + distanceRatio * 0.4);
+        } else {
+          star.currentSize = star.size;
+        }
+
+        // Reset star when it goes off screen (continuous forward motion)
+        if (star.x < -10 || star.x > viewWidth + 10 ||
+            star.y < -10 || star.y > viewHeight + 10) {
+          // Respawn at random position across the screen (not just center)
+          placeStar(star);
+        }
+      });
+    }
+
+    function updateClusters() {
+      clusters.forEach(cluster => {
+        cluster.pulsePhase += cluster.pulseSpeed;
+        cluster.currentOpacity = cluster.opacity * (0.7 + Math.sin(cluster.pulsePhase) * 0.3);
+
+        // Very slow forward motion
+        cluster.x += cluster.vx;
+        cluster.y += cluster.vy;
+
+        // Reset when off screen
+        if (cluster.x < -cluster.size * 2 || cluster.x > viewWidth + cluster.size * 2 ||
+            cluster.y < -cluster.size * 2 || cluster.y > viewHeight + cluster.size * 2) {
+          cluster.x = random() * viewWidth;
+          cluster.y = random() * viewHeight;
+
+          const motion = radialVelocity(cluster.x, cluster.y, 0.02 + random() * 0.02);
+          cluster.vx = motion.vx;
+          cluster.vy = motion.vy;
+          cluster.color = randomItem(colors.clusterColors);
+        }
+      });
+    }
+
+    function updateSpaceDust() {
+      spaceDust.forEach(dust => {
+        dust.pulsePhase += dust.pulseSpeed;
+        dust.currentOpacity = dust.opacity * (0.6 + Math.sin(dust.pulsePhase) * 0.4);
+
+        // Slow drift
+        dust.x += dust.vx;
+        dust.y += dust.vy;
+
+        // Wrap around screen edges
+        if (dust.x < 0) dust.x = viewWidth;
+        if (dust.x > viewWidth) dust.x = 0;
+        if (dust.y < 0) dust.y = viewHeight;
+        if (dust.y > viewHeight) dust.y = 0;
+      });
+    }
+
+    function drawStars() {
+      const gradients = qualityLevels[qualityIndex].gradients;
+      const offsets = {};
+
+      Object.keys(starLayers).forEach(layer => {
+        offsets[layer] = parallaxOffset(starLayers[layer].depth);
+      });
+
+      stars.forEach(star => {
+        const size = star.currentSize || star.size;
+        const x = wrap(star.x + offsets[star.layer].x, viewWidth);
+        const y = wrap(star.y + offsets[star.layer].y, viewHeight);
+
+        if (webgl) {
+          const glow = gradients && star.currentOpacity > 0.6 && size > 1.5;
+          webgl.sprite(x, y, size, parseColor(star.color), star.currentOpacity, glow);
+          return;
+        }
+
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+        ctx.fillStyle = star.color + star.currentOpacity + ')';
+        ctx.fill();
+
+        // Add glow effect for brighter stars
+        if (gradients && star.currentOpacity > 0.6 && size > 1.5) {
+          ctx.beginPath();
+          ctx.arc(x, y, size * 2, 0, Math.PI * 2);
+          const gradient = ctx.createRadialGradient(
+            x, y, 0,
+            x, y, size * 2
+          );
+          gradient.addColorStop(0, star.color + (star.currentOpacity * 0.3) + ')');
+          gradient.addColorStop(1, star.color + '0)');
+          ctx.fillStyle = gradient;
+          ctx.fill();
+        }
+      });
+
+      if (webgl) {
+        webgl.drawSprites();
+        webglPending = true;
+      }
+    }
+
+    function updateNebulas() {
+      nebulas.forEach(nebula => {
+        // Pulse effect
+        nebula.pulsePhase += nebula.pulseSpeed;
+        nebula.currentOpacity = nebula.opacity * (0.7 + Math.sin(nebula.pulsePhase) * 0.3);
+
+        // Forward motion - move away from center
+        nebula.x += nebula.vx;
+        nebula.y += nebula.vy;
+
+        // Reset nebula when it goes off screen
+        if (nebula.x < -nebula.size * 2 || nebula.x > viewWidth + nebula.size * 2 ||
+            nebula.y < -nebula.size * 2 || nebula.y > viewHeight + nebula.size * 2) {
+          // Respawn at random position
+          nebula.x = random() * viewWidth;
+          nebula.y = random() * viewHeight;
+
+          // Recalculate velocity (moving away from center)
+          const motion = radialVelocity(nebula.x, nebula.y, 0.08 + random() * 0.04);
+          nebula.vx = motion.vx;
+          nebula.vy = motion.vy;
+
+          // Randomize color and size on respawn
+          nebula.color = randomItem(colors.nebulaColors);
+          nebula.size = config.nebulaMinSize + random() * (config.nebulaMaxSize - config.nebulaMinSize);
+        }
+      });
+    }
+
+    function drawNebulas() {
+      const gradients = qualityLevels[qualityIndex].gradients;
+
+      if (webgl) {
+        drawNebulasWebGL(gradients);
+        return;
+      }
+
+      nebulas.forEach(nebula => {
+        const { r, g, b } = nebula.color;
+
+        // Low quality: a flat, fainter disc instead of a radial falloff
+        if (!gradients) {
+          ctx.beginPath();
+          ctx.arc(nebula.x, nebula.y, nebula.size * 0.6, 0, Math.PI * 2);
+          ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity * 0.3})`;
+          ctx.fill();
+          return;
+        }
+
+        const gradient = ctx.createRadialGradient(
+          nebula.x, nebula.y, 0,
+          nebula.x, nebula.y, nebula.size
+        );
+
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity})`);
+        gradient.addColorStop(0.4, `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity * 0.5})`);
+        gradient.addColorStop(0.7, `rgba(${r}, ${g}, ${b}, ${nebula.currentOpacity * 0.2})`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+
+        ctx.beginPath();
+        ctx.arc(nebula.x, nebula.y, nebula.size, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+      });
+    }
+
+    // Noise clouds drifting with each nebula's pulse, or the same flat
+    // discs as 2D at low quality
+    function drawNebulasWebGL(gradients) {
+      nebulas.forEach(nebula => {
+        if (gradients) {
+          webgl.cloud(nebula.x, nebula.y, nebula.size, 0, 1, nebula.color, nebula.currentOpacity, nebula.pulsePhase);
+        } else {
+          webgl.sprite(nebula.x, nebula.y, nebula.size * 0.6, nebula.color, nebula.currentOpacity * 0.3, false);
+        }
+      });
+
+      if (gradients) {
+        webgl.drawClouds(cloudProfiles.nebula);
+      } else {
+        webgl.drawSprites();
+      }
+      webglPending = true;
+    }
+
+    function drawClusters() {
+      // Clusters are barely visible without their gradient, so skip them
+      if (!qualityLevels[qualityIndex].gradients) return;
+
+      if (webgl) {
+        clusters.forEach(cluster => {
+          const opacity = cluster.currentOpacity || cluster.opacity;
+          webgl.cloud(cluster.x, cluster.y, cluster.size, cluster.rotation, cluster.elongation, cluster.color, opacity, 0);
+        });
+        webgl.drawClouds(cloudProfiles.cluster);
+        webglPending = true;
+        return;
+      }
+
+      ctx.save();
+      clusters.forEach(cluster => {
+        const { r, g, b } = cluster.color;
+        const opacity = cluster.currentOpacity || cluster.opacity;
+
+        // Draw elongated ellipse for galaxy shape
+        ctx.save();
+        ctx.translate(cluster.x, cluster.y);
+        ctx.rotate(cluster.rotation);
+        ctx.scale(1, cluster.elongation);
+
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, cluster.size);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${opacity * 1.5})`);
+        gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${opacity})`);
+        gradient.addColorStop(0.6, `rgba(${r}, ${g}, ${b}, ${opacity * 0.4})`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+
+        ctx.beginPath();
+        ctx.arc(0, 0, cluster.size, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        ctx.restore();
+      });
+      ctx.restore();
+    }
+
+    // Draws the streaks on the given layers, so farther ones can pass
+    // behind nearer stars
+    function drawShootingStars(layers) {
+      const gradients = qualityLevels[qualityIndex].gradients;
+
+      ctx.save();
+      ctx.lineCap = 'round';
+
+      shootingStars.forEach(star => {
+        if (!layers.includes(star.layer)) return;
+
+        // Shift with the star layer it belongs to
+        const offset = parallaxOffset(starLayers[star.layer].depth);
+        ctx.save();
+        ctx.translate(offset.x, offset.y);
+
+        // Fade in, peak mid-flight, burn out
+        const progress = star.age / star.life;
+        const opacity = star.brightness * Math.sin(progress * Math.PI);
+
+        // The trail stretches out over the first frames, then trails the head
+        const speed = Math.sqrt(star.vx * star.vx + star.vy * star.vy);
+        const length = star.length * Math.min(1, star.age / 10);
+        const tailX = star.x - (star.vx / speed) * length;
+        const tailY = star.y - (star.vy / speed) * length;
+
+        if (gradients) {
+          const gradient = ctx.createLinearGradient(star.x, star.y, tailX, tailY);
+          gradient.addColorStop(0, colors.shootingStar + opacity + ')');
+          gradient.addColorStop(1, colors.shootingStar + '0)');
+          ctx.strokeStyle = gradient;
+        } else {
+          ctx.strokeStyle = colors.shootingStar + (opacity * 0.5) + ')';
+        }
+
+        ctx.lineWidth = star.width;
+        ctx.beginPath();
+        ctx.moveTo(tailX, tailY);
+        ctx.lineTo(star.x, star.y);
+        ctx.stroke();
+
+        // Bright head
+        ctx.beginPath();
+        ctx.arc(star.x, star.y, star.width, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+        ctx.fill();
+
+        ctx.restore();
+      });
+
+      ctx.restore();
+    }
+
+    // =============================================
+    // Constellations
+    // =============================================
+
+    function updateConstellations() {
+      if (!config.constellations) {
+        constellationLinks = [];
+        return;
+      }
+
+      // Stars drift slowly, so the graph only needs refreshing now and then
+      if (constellationTimer-- <= 0) {
+        constellationLinks = findConstellationLinks();
+        constellationTimer = 15;
+      }
+
+      constellationClock += 1 / 60;
+
+      if (config.constellationShape && shapeProgress < 1) {
+        shapeProgress = Math.min(1, shapeProgress + 1 / 120);
+      }
+    }
+
+    // Proximity graph over the near layer. Stars are bucketed into a grid of
+    // link-length cells, so each star only checks its 3x3 neighbourhood.
+    function findConstellationLinks() {
+      const cellSize = config.constellationDistance;
+      const maxDistance = cellSize * cellSize;
+      const grid = new Map();
+      const degree = new Map();
+      const links = [];
+
+      const cellKey = (column, row) => column + ':' + row;
+
+      stars.forEach(star => {
+        if (star.layer !== 'near') return;
+
+        const key = cellKey(Math.floor(star.x / cellSize), Math.floor(star.y / cellSize));
+        if (!grid.has(key)) {
+          grid.set(key, []);
+        }
+        grid.get(key).push(star);
+        degree.set(star, 0);
+      });
+
+      degree.forEach((count, star) => {
+        const column = Math.floor(star.x / cellSize);
+        const row = Math.floor(star.y / cellSize);
+
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            const neighbours = grid.get(cellKey(column + dx, row + dy));
+            if (!neighbours) continue;
+
+            neighbours.forEach(other => {
+              // Visit each pair once
+              if (other.x < star.x || (other.x === star.x && other.y <= star.y)) return;
+              if (degree.get(star) >= config.constellationMaxLinks ||
+                  degree.get(other) >= config.constellationMaxLinks) return;
+
+              const ox = other.x - star.x;
+              const oy = other.y - star.y;
+              if (ox * ox + oy * oy > maxDistance) return;
+
+              links.push([star, other]);
+              degree.set(star, degree.get(star) + 1);
+              degree.set(other, degree.get(other) + 1);
+            });
+          }
+        }
+      });
+
+      return links;
+    }
+
+    function drawConstellations() {
+      if (!config.constellations) return;
+
+      const offset = parallaxOffset(starLayers.near.depth);
+      const time = constellationClock;
+
+      ctx.save();
+      ctx.lineWidth = 0.6;
+
+      // Links fade with length and breathe with the twinkle of their stars
+      constellationLinks.forEach(link => {
+        const a = link[0];
+        const b = link[1];
+
+        // Where drawStars() puts them; a star wrapped to the other edge
+        // stretches its link past the limit and drops it
+        const ax = wrap(a.x + offset.x, viewWidth);
+        const ay = wrap(a.y + offset.y, viewHeight);
+        const bx = wrap(b.x + offset.x, viewWidth);
+        const by = wrap(b.y + offset.y, viewHeight);
+
+        const dx = bx - ax;
+        const dy = by - ay;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > config.constellationDistance) return;
+
+        const opacity = config.constellationOpacity *
+          (1 - distance / config.constellationDistance) *
+          Math.min(a.currentOpacity, b.currentOpacity);
+
+        ctx.beginPath();
+        ctx.moveTo(ax, ay);
+        ctx.lineTo(bx, by);
+        ctx.strokeStyle = colors.stellarColors.near[0] + opacity + ')';
+        ctx.stroke();
+      });
+
+      const shape = resolveShape(config.constellationShape);
+      if (shape) {
+        drawShape(shape, offset, time);
+      }
+
+      ctx.restore();
+    }
+
+    // Traces the shape in the upper right of the sky, line by line
+    function drawShape(shape, offset, time) {
+      const size = Math.min(viewWidth, viewHeight) * 0.28;
+      const left = viewWidth * 0.78 - size / 2 + offset.x;
+      const top = viewHeight * 0.28 - size / 2 + offset.y;
+      const points = shape.points.map(point => ({ x: left + point[0] * size, y: top + point[1] * size }));
+      const opacity = config.constellationOpacity * 2 * (0.8 + Math.sin(time * 1.5) * 0.2);
+
+      ctx.lineWidth = 0.8;
+      ctx.strokeStyle = colors.stellarColors.near[1] + opacity + ')';
+
+      shape.lines.forEach((line, index) => {
+        // Each line draws itself during its slice of the reveal
+        const reveal = Math.min(1, Math.max(0, shapeProgress * shape.lines.length - index));
+        if (reveal <= 0) return;
+
+        const from = points[line[0]];
+        const to = points[line[1]];
+
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(from.x + (to.x - from.x) * reveal, from.y + (to.y - from.y) * reveal);
+        ctx.stroke();
+      });
+
+      points.forEach((point, index) => {
+        const twinkle = 0.7 + Math.sin(time * 2 + index) * 0.3;
+
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 1.6, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 255, 255, ${Math.min(1, shapeProgress * 2) * twinkle})`;
+        ctx.fill();
+      });
+    }
+
+    function drawSpaceDust() {
+      if (webgl) {
+        const color = { r: 200, g: 200, b: 220 };
+        spaceDust.forEach(dust => {
+          webgl.sprite(dust.x, dust.y, dust.size, color, dust.currentOpacity || dust.opacity, false);
+        });
+        webgl.drawSprites();
+        webglPending = true;
+        return;
+      }
+
+      spaceDust.forEach(dust => {
+        const opacity = dust.currentOpacity || dust.opacity;
+        ctx.beginPath();
+        ctx.arc(dust.x, dust.y, dust.size, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(200, 200, 220, ${opacity})`;
+        ctx.fill();
+      });
+    }
+
+    function drawVignette() {
+      // Subtle dark vignette around edges for cinematic deep space feel
+      const centerX = viewWidth / 2;
+      const centerY = viewHeight / 2;
+      const maxRadius = Math.sqrt(centerX * centerX + centerY * centerY);
+
+      const gradient = ctx.createRadialGradient(
+        centerX, centerY, maxRadius * 0.4,
+        centerX, centerY, maxRadius
+      );
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(0.7, 'rgba(0, 0, 0, 0.1)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0.4)');
+
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, viewWidth, viewHeight);
+    }
+
+    function animate(time) {
+      if (time) {
+        monitorFrame(time);
+      }
+
+      // Battery saver: skip frames until the capped interval has passed
+      // (with a little slack, rAF times jitter around the display rate)
+      const interval = frameInterval();
+      if (interval && time) {
+        if (lastDrawTime && time - lastDrawTime < interval - 2) {
+          animationId = requestFrame(animate);
+          return;
+        }
+        lastDrawTime = time;
+      }
+
+      // In the worker, parallax arrives by message instead
+      if (!isWorker) {
+        parallax = readParallax();
+      }
+
+      // Motion is per frame at 60fps, so capped frames take the steps
+      // of the frames they skipped
+      const steps = interval ? Math.max(Math.round(interval / (1000 / 60)), 1) : 1;
+      for (let i = 0; i < steps; i++) {
+        updateFrame();
+      }
+      drawFrame();
+
+      // Continue animation
+      animationId = requestFrame(animate);
+    }
+
+    function updateFrame() {
+      forEachLayer('update');
+    }
+
+    function drawFrame() {
+      // Clear canvas
+      ctx.clearRect(0, 0, viewWidth, viewHeight);
+
+      // Draw back to front by zIndex
+      forEachLayer('draw');
+      flushWebGL();
+    }
+
+    // =============================================
+    // Layers
+    // =============================================
+
+    // Every effect is a layer, kept sorted by zIndex (back to front):
+    // { id, zIndex, create(scene), update(scene), draw(ctx, scene), destroy(scene) }
+    // All hooks are optional. create runs whenever the scene is generated.
+    // Built-ins marked webgl draw through the WebGL backend when it is on.
+    const layers = [];
+
+    // What layers get to see of the engine, kept stable across frames
+    const scene = {
+      get width() { return viewWidth; },
+      get height() { return viewHeight; },
+      get pixelRatio() { return pixelRatio; },
+      get gradients() { return qualityLevels[qualityIndex].gradients; },
+      config: config,
+      colors: colors,
+      // Seeded when config.seed is set, so layers can be reproducible too
+      random: () => random(),
+      // Parallax shift for a depth (1 = near star layer)
+      parallax: depth => parallaxOffset(depth)
+    };
+
+    // Snapshots render the built-in layers only; page layers keep their own
+    // state that a snapshot would otherwise reset
+    let snapshotting = false;
+
+    function addLayer(layer) {
+      removeLayer(layer.id);
+
+      const entry = Object.assign({ zIndex: 0 }, layer);
+      const index = layers.findIndex(other => other.zIndex > entry.zIndex);
+      layers.splice(index === -1 ? layers.length : index, 0, entry);
+
+      // Join a scene that is already running
+      if (ctx && sceneWidth) {
+        callLayer(entry, 'create');
+      }
+    }
+
+    function removeLayer(id) {
+      const index = layers.findIndex(layer => layer.id === id);
+      if (index === -1) return false;
+
+      const layer = layers.splice(index, 1)[0];
+      if (ctx) {
+        callLayer(layer, 'destroy');
+      }
+      return true;
+    }
+
+    function forEachLayer(hook) {
+      // Copy, as a failing layer removes itself mid-loop
+      layers.slice().forEach(layer => {
+        if (!snapshotting || layer.builtIn) {
+          callLayer(layer, hook);
+        }
+      });
+    }
+
+    // A broken page layer is dropped rather than stopping the animation
+    function callLayer(layer, hook) {
+      if (typeof layer[hook] !== 'function') return;
+
+      // Anything drawn with ctx goes on top of the WebGL layers below it
+      if (hook === 'draw' && !layer.webgl) {
+        flushWebGL();
+      }
+
+      if (layer.builtIn) {
+        layer[hook](hook === 'draw' ? ctx : scene, scene);
+        return;
+      }
+
+      try {
+        layer[hook](hook === 'draw' ? ctx : scene, scene);
+      } catch (error) {
+        console.error(`Particle layer "${layer.id}" failed:`, error);
+        if (hook !== 'destroy') {
+          removeLayer(layer.id);
+        }
+      }
+    }
+
+    // Built-in layers, back to front
+    [
+      { id: 'clusters', zIndex: 10, webgl: true, create: createClusters, update: updateClusters, draw: drawClusters }, // Distant galaxies
+      { id: 'nebulas', zIndex: 20, webgl: true, create: createNebulas, update: updateNebulas, draw: drawNebulas }, // Nebula clouds
+      { id: 'dust', zIndex: 30, webgl: true, create: createSpaceDust, update: updateSpaceDust, draw: drawSpaceDust }, // Atmospheric dust
+      { // Streaks behind the near stars
+        id: 'shooting-stars',
+        zIndex: 40,
+        create: () => {
+          shootingStars = [];
+          shootingStarClock = 0;
+        },
+        update: updateShootingStars,
+        draw: () => drawShootingStars(['distant', 'mid'])
+      },
+      { id: 'stars', zIndex: 50, webgl: true, create: createStarField, update: updateStars, draw: drawStars }, // Layered by depth
+      { // Lines over the near layer
+        id: 'constellations',
+        zIndex: 60,
+        create: () => {
+          constellationLinks = [];
+          constellationTimer = 0;
+        },
+        update: updateConstellations,
+        draw: drawConstellations
+      },
+      { id: 'near-shooting-stars', zIndex: 70, draw: () => drawShootingStars(['near']) },
+      { id: 'vignette', zIndex: 100, draw: drawVignette } // Cinematic edge darkening
+    ].forEach(layer => {
+      // Built-ins draw from module state and ignore the hook arguments
+      addLayer(Object.assign({ builtIn: true }, layer));
+    });
+
+    // =============================================
+    // Snapshots
+    // =============================================
+
+    // Renders the scene `time` ms after generation into a detached canvas
+    // and returns it as a PNG data URL. Runs on the main thread with its own
+    // state, so the live background (here or in the worker) is untouched.
+    function renderSnapshot(options) {
+      const width = Math.round(options.width || viewWidth || window.innerWidth);
+      const height = Math.round(options.height || viewHeight || window.innerHeight);
+      const frames = Math.round((options.time || 0) / (1000 / 60));
+
+      const live = {
+        canvas: canvas, ctx: ctx, stars: stars, nebulas: nebulas, clusters: clusters, spaceDust: spaceDust,
+        shootingStars: shootingStars, shootingStarClock: shootingStarClock,
+        viewWidth: viewWidth, viewHeight: viewHeight, sceneWidth: sceneWidth, sceneHeight: sceneHeight,
+        deviceRatio: deviceRatio, pixelRatio: pixelRatio, qualityIndex: qualityIndex, random: random,
+        parallax: parallax, constellationLinks: constellationLinks, constellationTimer: constellationTimer,
+        shapeProgress: shapeProgress, constellationClock: constellationClock, webgl: webgl
+      };
+
+      try {
+        canvas = document.createElement('canvas');
+        ctx = canvas.getContext('2d');
+        viewWidth = width;
+        viewHeight = height;
+        deviceRatio = 1;
+        qualityIndex = 0; // Always full quality, independent of this device
+        parallax = { x: 0, y: 0, scroll: 0 };
+        shapeProgress = 1; // Fully traced
+        webgl = null; // The WebGL canvas is sized for the live scene, so snapshots draw in 2D
+        snapshotting = true;
+        sizeCanvas();
+
+        createStars();
+
+        if (frames > 0) {
+          for (let i = 0; i < frames; i++) {
+            updateFrame();
+          }
+          drawFrame();
+        } else {
+          drawFirstFrame();
+        }
+
+        return canvas.toDataURL('image/png');
+      } finally {
+        canvas = live.canvas;
+        ctx = live.ctx;
+        stars = live.stars;
+        nebulas = live.nebulas;
+        clusters = live.clusters;
+        spaceDust = live.spaceDust;
+        shootingStars = live.shootingStars;
+        shootingStarClock = live.shootingStarClock;
+        viewWidth = live.viewWidth;
+        viewHeight = live.viewHeight;
+        sceneWidth = live.sceneWidth;
+        sceneHeight = live.sceneHeight;
+        deviceRatio = live.deviceRatio;
+        pixelRatio = live.pixelRatio;
+        qualityIndex = live.qualityIndex;
+        random = live.random;
+        parallax = live.parallax;
+        snapshotting = false;
+        constellationLinks = live.constellationLinks;
+        constellationTimer = live.constellationTimer;
+        shapeProgress = live.shapeProgress;
+        constellationClock = live.constellationClock;
+        webgl = live.webgl;
+      }
+    }
+
+    // Public methods
+    this.init = init;
+    this.destroy = destroy;
+    this.pause = pause;
+    this.resume = resume;
+    // Re-reads theme, data-particles-* attributes and options, e.g. after a
+    // page swap, and blends the running scene into them
+    this.refresh = function() {
+      if (canvas) {
+        applySettings();
+      }
+    };
+    this.respawn = function() {
+      if (renderer) {
+        postToRenderer('respawn');
+      } else if (ctx) {
+        createStars();
+      }
+    };
+    // Live tuning, e.g. configure({ density: 0.5, preset: 'theme-red', nebulaColors: [...] })
+    // Options persist across page transitions until changed again
+    this.configure = function(options) {
+      Object.assign(runtimeOptions, options);
+      if (canvas) {
+        applySettings();
+      }
+    };
+    // Adds (or replaces, by id) a render layer:
+    // { id, zIndex, create(scene), update(scene), draw(ctx, scene), destroy(scene) }
+    // Built-ins sit at zIndex 10 (clusters) to 100 (vignette). Layer code
+    // can't be sent to a worker, so adding one moves rendering back onto
+    // the main thread.
+    this.addLayer = function(layer) {
+      if (renderer) {
+        moveToMainThread();
+      }
+      addLayer(layer);
+    };
+    // Removes a layer by id, built-ins included; returns whether it existed
+    this.removeLayer = function(id) {
+      if (renderer) {
+        postToRenderer('remove-layer', { id: id });
+      }
+      return removeLayer(id);
+    };
+    // Regenerates the scene from a seed (null for random); the same seed
+    // always produces the same sky
+    this.seed = function(n) {
+      runtimeOptions.seed = n;
+      if (canvas) {
+        reinitialize();
+      }
+    };
+    // Shows or hides the constellation overlay, optionally tracing a shape:
+    // constellations(true, 'fox'), constellations(true, { points, lines })
+    this.constellations = function(enabled, shape) {
+      this.configure({
+        constellations: enabled !== false,
+        constellationShape: enabled === false ? null : shape || null
+      });
+    };
+    // Turns on gyroscope parallax; call from a tap so iOS can ask for
+    // permission. Resolves to whether tilt is now active.
+    this.enableTilt = function() {
+      this.configure({ tilt: true });
+      return enableTilt();
+    };
+    // PNG data URL of the scene `time` ms in, at width x height CSS pixels
+    // (defaults to the canvas size). Uses the current seed and settings.
+    this.snapshot = function(options) {
+      return renderSnapshot(options || {});
+    };
+    // Current rendering quality, e.g. { level: 'medium', scale: 0.6, gradients: true, pixelRatio: 1.5 }
+    // (reported asynchronously when a worker renders; null until its first report)
+    this.getQuality = function() {
+      return renderer ? rendererQuality : qualityInfo();
+    };
+    this.reinit = function() {
+      if (canvas) {
+        reinitialize();
+      }
+    };
+    this.resize = function() {
+      if (canvas) {
+        resizeCanvas();
+      }
+    };
+
+    if (isWorker) {
+      // Driven by the page through messages, see handleWorkerMessage()
+      this.receive = handleWorkerMessage;
+    } else {
+      init();
+    }
+  }
+
+  // =============================================
+  // Page Background
+  // =============================================
+
+  let background = null;
+
+  function mount() {
+    if (!background) {
+      background = new ParticleSystem(null, { fullscreen: true });
+      return;
+    }
+
+    // Blend the running scene into the new page's settings
+    background.init();
+    background.refresh();
+    background.resume();
+  }
+
+  function unmount() {
+    if (background) {
+      background.pause();
+    }
+  }
+
+  function start() {
+    // The background canvas stays; each page blends it into its own settings
+    if (window.PageTransitions) {
+      window.PageTransitions.register('particles', { mount: mount, unmount: unmount });
+    } else {
+      mount();
+    }
+  }
+
+  if (isWorker) {
+    // One instance per worker, created by the page's first message
+    let system = null;
+    self.addEventListener('message', event => {
+      if (!system) {
+        system = new ParticleSystem(null, {});
+      }
+      system.receive(event);
+    });
+    return;
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+  // Public API: the constructor, plus static shortcuts to the page
+  // background, e.g. ParticleSystem.configure({ density: 0.5 })
+  ParticleSystem.presets = presets;
+  ParticleSystem.constellationShapes = constellationShapes;
+
+  [
+    'init', 'destroy', 'pause', 'resume', 'refresh', 'respawn', 'configure',
+    'addLayer', 'removeLayer', 'seed', 'constellations', 'enableTilt',
+    'snapshot', 'getQuality', 'reinit', 'resize'
+  ].forEach(name => {
+    ParticleSystem[name] = function() {
+      if (!background) return undefined;
+      return background[name].apply(background, arguments);
+    };
+  });
+
+  window.ParticleSystem = ParticleSystem;
 
 })();
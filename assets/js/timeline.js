@@ -6,11 +6,15 @@
 (function() {
   'use strict';
 
+  let listeners = null; // AbortController for the current page's headers
+
   function initTimeline() {
     const timelineItems = document.querySelectorAll('.timeline-item');
 
     if (timelineItems.length === 0) return;
 
+    listeners = new AbortController();
+
     timelineItems.forEach(item => {
       const header = item.querySelector('.timeline-header');
 
@@ -46,15 +50,32 @@
             }
           }, 100);
         }
-      });
+      }, { signal: listeners.signal });
     });
   }
 
+  function destroyTimeline() {
+    if (listeners) {
+      listeners.abort();
+      listeners = null;
+    }
+  }
+
+  function start() {
+    // Timeline items are new content after every swap, so their click
+    // handlers are bound per page
+    if (window.PageTransitions) {
+      window.PageTransitions.register('timeline', { mount: initTimeline, unmount: destroyTimeline });
+    } else {
+      initTimeline();
+    }
+  }
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initTimeline);
+    document.addEventListener('DOMContentLoaded', start);
   } else {
-    initTimeline();
+    start();
   }
 
 })();
@@ -6,9 +6,46 @@
 (function () {
   'use strict';
 
-  let isTransitioning = false;
+  // Used to locate site files (e.g. 404.html) relative to this script
+  const scriptUrl = document.currentScript && document.currentScript.src;
+
+  let activeNavigation = null; // { key, controller, committed } for the running transition
+  let queuedNavigation = null; // Latest intent received after the swap started
   const transitionDuration = 400; // ms
 
+  // Transitions collapse to instant swaps for users who prefer reduced motion
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+  // Prefetch configuration
+  const prefetchConfig = {
+    maxEntries: 10,          // LRU size limit for parsed documents
+    ttl: 5 * 60 * 1000,      // Cached documents expire after 5 minutes
+    hoverDelay: 65,          // Hover intent delay before prefetching (ms)
+    viewportMargin: '200px'  // Prefetch links this close to the viewport
+  };
+
+  // Navigation configuration
+  const navigationConfig = {
+    timeout: 8000,       // Fall back to a normal browser navigation after this (ms)
+    progressDelay: 150   // Only show the progress bar for loads slower than this (ms)
+  };
+
+  const pageCache = new Map(); // url -> { doc, timestamp } (insertion order = LRU order)
+  const pendingFetches = new Map(); // url -> Promise<Document>
+  let hoverTimeout = null;
+  let linkObserver = null;
+  let scrollSaveTimeout = null;
+  let currentPageKey = null; // Cache key of the document currently on screen
+  let progressBar = null;
+  let progressValue = 0;
+  let progressShowTimeout = null;
+  let progressTrickleInterval = null;
+  let progressHideTimeout = null;
+  let announcer = null; // aria-live region announcing the new page title
+  let currentEntry = { index: 0, transition: 'fade' }; // History entry on screen
+  const morphName = 'page-morph'; // view-transition-name for shared elements
+  let pageCovered = false; // Overlay fully faded in, hiding the whole page
+
   function init() {
     // Create transition overlay if it doesn't exist
     if (!document.querySelector('.page-transition-overlay')) {
@@ -17,12 +54,46 @@
       document.body.appendChild(overlay);
     }
 
+    // Navigation progress bar
+    progressBar = document.createElement('div');
+    progressBar.className = 'page-progress';
+    progressBar.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(progressBar);
+
+    // Screen reader announcements for page changes
+    announcer = document.createElement('div');
+    announcer.className = 'sr-only';
+    announcer.setAttribute('aria-live', 'polite');
+    announcer.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(announcer);
+
+    currentPageKey = cacheKey(window.location.href);
+
+    // Scripts the first page loaded never need to be fetched again
+    Array.from(document.scripts).forEach(script => {
+      if (script.src) {
+        loadedScripts.add(script.src);
+      }
+    });
+
     // Intercept internal link clicks
     document.addEventListener('click', handleLinkClick);
+    document.addEventListener('click', handleRetryClick);
 
     // Handle browser back/forward
     window.addEventListener('popstate', handlePopState);
 
+    // Keep per-entry scroll positions in history.state
+    initScrollRestoration();
+
+    // Prefetch internal links on hover, focus and when they scroll into view
+    initPrefetch();
+
+    // The service worker revalidates cached pages in the background
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    }
+
     // Add fade-in animation on initial load
     const main = document.querySelector('main');
     if (main) {
@@ -35,6 +106,13 @@
 
     if (!link) return;
 
+    if (!isInternalLink(link)) return;
+
+    e.preventDefault();
+    navigateTo(link.getAttribute('href'), link.getAttribute('data-transition'));
+  }
+
+  function isInternalLink(link) {
     const href = link.getAttribute('href');
 
     // Skip if:
@@ -44,25 +122,795 @@
     // - mailto/tel links
     // - Has target="_blank"
     // - Is a download link
-    if (!href ||
+    return !(!href ||
       link.hostname !== window.location.hostname ||
       href.startsWith('#') ||
       href.startsWith('mailto:') ||
       href.startsWith('tel:') ||
       link.getAttribute('target') === '_blank' ||
-      link.hasAttribute('download') ||
-      isTransitioning) {
+      link.hasAttribute('download'));
+  }
+
+  // =============================================
+  // Prefetch Cache
+  // =============================================
+  function initPrefetch() {
+    // Respect data saver preferences
+    if (navigator.connection && navigator.connection.saveData) return;
+
+    document.addEventListener('mouseover', handlePrefetchHover, { passive: true });
+    document.addEventListener('mouseout', cancelPrefetchHover, { passive: true });
+    document.addEventListener('focusin', handlePrefetchFocus);
+    document.addEventListener('touchstart', handlePrefetchFocus, { passive: true });
+
+    if ('IntersectionObserver' in window) {
+      linkObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            linkObserver.unobserve(entry.target);
+            prefetchLink(entry.target);
+          }
+        });
+      }, {
+        rootMargin: prefetchConfig.viewportMargin
+      });
+      observeLinks();
+    }
+  }
+
+  function observeLinks() {
+    if (!linkObserver) return;
+
+    linkObserver.disconnect();
+    document.querySelectorAll('a[href]').forEach(link => {
+      if (isPrefetchable(link)) {
+        linkObserver.observe(link);
+      }
+    });
+  }
+
+  function isPrefetchable(link) {
+    return isInternalLink(link) && !link.closest('[data-no-prefetch]');
+  }
+
+  function handlePrefetchHover(e) {
+    const link = e.target.closest('a');
+    if (!link || !isPrefetchable(link)) return;
+
+    clearTimeout(hoverTimeout);
+    hoverTimeout = setTimeout(() => {
+      prefetchLink(link);
+    }, prefetchConfig.hoverDelay);
+  }
+
+  function cancelPrefetchHover(e) {
+    const link = e.target.closest('a');
+    if (link && !link.contains(e.relatedTarget)) {
+      clearTimeout(hoverTimeout);
+    }
+  }
+
+  function handlePrefetchFocus(e) {
+    const link = e.target.closest && e.target.closest('a');
+    if (link && isPrefetchable(link)) {
+      prefetchLink(link);
+    }
+  }
+
+  function prefetchLink(link) {
+    loadPage(link.href).catch(() => {
+      // Prefetch failures are silent; navigation will retry
+    });
+  }
+
+  function cacheKey(url) {
+    const resolved = new URL(url, window.location.href);
+    resolved.hash = '';
+    return resolved.href;
+  }
+
+  function getCachedPage(key) {
+    const entry = pageCache.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.timestamp > prefetchConfig.ttl) {
+      pageCache.delete(key);
+      return null;
+    }
+
+    // Move to most recently used position
+    pageCache.delete(key);
+    pageCache.set(key, entry);
+    return entry.doc;
+  }
+
+  function cachePage(key, doc) {
+    pageCache.delete(key);
+    pageCache.set(key, { doc: doc, timestamp: Date.now() });
+
+    // Evict least recently used entries
+    while (pageCache.size > prefetchConfig.maxEntries) {
+      pageCache.delete(pageCache.keys().next().value);
+    }
+  }
+
+  // Drop our parsed copy when the service worker has stored a fresher page,
+  // so the next visit swaps in the update (still instantly, from its cache)
+  function handleWorkerMessage(e) {
+    if (e.data && e.data.type === 'page-updated') {
+      pageCache.delete(cacheKey(e.data.url));
+    }
+  }
+
+  // Resolves with the parsed document for url, from cache when possible.
+  // An optional AbortSignal rejects the returned promise with an AbortError.
+  function loadPage(url, signal) {
+    const key = cacheKey(url);
+
+    const cached = getCachedPage(key);
+    if (cached) return Promise.resolve(cached);
+
+    let request = pendingFetches.get(key);
+
+    if (!request) {
+      // Never tied to one caller's signal: a navigation that is cancelled
+      // and retried at once (rapid clicks, A -> B -> A) joins this request
+      // before it settles, so it must not have been aborted
+      request = fetch(key)
+        .then(response => {
+          if (!response.ok) return rejectWithErrorDocument(response);
+          return readResponseText(response, key);
+        })
+        .then(html => {
+          const doc = new DOMParser().parseFromString(html, 'text/html');
+          cachePage(key, doc);
+          return doc;
+        })
+        .finally(() => {
+          pendingFetches.delete(key);
+        });
+
+      pendingFetches.set(key, request);
+    }
+
+    // A shared request (e.g. a prefetch) keeps running for the cache
+    // even when this caller gives up on it
+    return signal ? abortable(request, signal) : request;
+  }
+
+  // Reads the body while reporting download progress (needs Content-Length)
+  function readResponseText(response, key) {
+    const total = Number(response.headers.get('Content-Length'));
+
+    if (!total || !response.body || typeof TextDecoder === 'undefined') {
+      return response.text();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+    let html = '';
+
+    function pump() {
+      return reader.read().then(result => {
+        if (result.done) {
+          return html + decoder.decode();
+        }
+
+        loaded += result.value.byteLength;
+        html += decoder.decode(result.value, { stream: true });
+
+        // Compressed transfers can report more bytes than Content-Length
+        reportProgress(key, Math.min(loaded / total, 1));
+        return pump();
+      });
+    }
+
+    return pump();
+  }
+
+  // Rejects with the HTTP status and, when the server sent one, its error page
+  function rejectWithErrorDocument(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    const body = contentType.includes('text/html') ? response.text() : Promise.resolve(null);
+
+    return body.then(html => {
+      const error = new Error('Page responded with status ' + response.status);
+      error.status = response.status;
+      error.doc = html ? new DOMParser().parseFromString(html, 'text/html') : null;
+      throw error;
+    });
+  }
+
+  function abortable(promise, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      signal.addEventListener('abort', () => reject(createAbortError()), { once: true });
+      promise.then(resolve, reject);
+    });
+  }
+
+  function createAbortError() {
+    return new DOMException('Navigation cancelled', 'AbortError');
+  }
+
+  function throwIfAborted(signal) {
+    if (signal.aborted) throw createAbortError();
+  }
+
+  // =============================================
+  // Navigation Scheduling
+  // =============================================
+  // The latest intent wins: a navigation that has not swapped the page yet
+  // is aborted in favour of the new one. Once the swap has happened, the
+  // new intent is queued and applied when the current transition settles,
+  // so the URL and the content on screen never disagree.
+
+  function requestNavigation(run) {
+    if (!activeNavigation) {
+      run();
+    } else if (!activeNavigation.committed) {
+      cancelNavigation();
+      run();
+    } else {
+      queuedNavigation = run;
+    }
+  }
+
+  function cancelNavigation() {
+    clearTimeout(activeNavigation.timeoutId);
+    activeNavigation.controller.abort();
+    activeNavigation = null;
+    resetProgress();
+
+    // Undo the exit animation; the next navigation starts its own
+    const overlay = document.querySelector('.page-transition-overlay');
+    if (overlay) {
+      overlay.classList.remove('active');
+    }
+    setCovered(false);
+
+    const main = document.querySelector('main');
+    if (main) {
+      main.classList.remove('fade-out');
+    }
+
+    document.body.classList.remove('transitioning');
+    document.body.classList.add('page-loaded');
+    clearTransitionStyle();
+  }
+
+  function runQueuedNavigation() {
+    const run = queuedNavigation;
+    queuedNavigation = null;
+
+    if (run) {
+      run();
+    }
+  }
+
+  function navigateTo(url, transition) {
+    requestNavigation(() => {
+      // Remember where the reader was on the page they are leaving
+      saveScrollPosition();
+
+      if (isFragmentChange(url)) {
+        navigateToFragment(url);
+        return;
+      }
+
+      runTransition(url, {
+        push: true,
+        transition: normalizeTransition(transition),
+        direction: 'forward'
+      });
+    });
+  }
+
+  function handlePopState() {
+    // Read the history entry when the navigation actually runs, so several
+    // queued Back/Forward presses resolve to where the user ended up
+    requestNavigation(() => {
+      const state = window.history.state;
+      const entry = {
+        index: (state && state.index) || 0,
+        transition: normalizeTransition(state && state.transition)
+      };
+
+      // Going back replays the animation that brought us here, reversed
+      const back = entry.index < currentEntry.index;
+      const transition = back ? currentEntry.transition : entry.transition;
+
+      // Back/forward between fragments of the page already on screen
+      if (cacheKey(window.location.href) === currentPageKey) {
+        currentEntry = entry;
+
+        if (state && state.scroll) {
+          restoreScrollPosition(state.scroll);
+        } else {
+          scrollToFragment(window.location.hash);
+        }
+        return;
+      }
+
+      runTransition(window.location.href, {
+        push: false,
+        scroll: state && state.scroll,
+        entry: entry,
+        transition: transition,
+        direction: back ? 'back' : 'forward'
+      });
+    });
+  }
+
+  // Shared navigation pipeline for link clicks and back/forward
+  function runTransition(url, options) {
+    // Resolve link hrefs once: after pushEntry() they would resolve against
+    // the new location, e.g. in the fallback navigation below
+    url = new URL(url, window.location.href).href;
+
+    const navigation = {
+      key: cacheKey(url),
+      controller: new AbortController(),
+      committed: false,
+      timeoutId: null
+    };
+    activeNavigation = navigation;
+
+    startProgress();
+
+    // Slow network: give up on the transition and let the browser load the page
+    navigation.timeoutId = setTimeout(() => {
+      if (activeNavigation !== navigation || navigation.committed) return;
+
+      navigation.controller.abort();
+      if (options.push) {
+        window.location.href = url;
+      } else {
+        window.location.reload();
+      }
+    }, navigationConfig.timeout);
+
+    const fromUrl = currentPageKey;
+    const signal = navigation.controller.signal;
+
+    // Load the page alongside the exit animation (instant when prefetched)
+    // Failed loads render an error page in place instead of reloading
+    const page = loadPage(url, signal).catch(error => {
+      if (error.name === 'AbortError') throw error;
+      return createErrorPage(error, url);
+    });
+    page.catch(() => {}); // Handled by the transition backend
+
+    const lifecycleDetail = { url: cacheKey(url), from: fromUrl };
+
+    // Per-link style and direction drive the CSS for both backends
+    const transition = options.transition || 'fade';
+    document.documentElement.setAttribute('data-transition', transition);
+    document.documentElement.setAttribute('data-transition-direction', options.direction || 'forward');
+
+    // Cache keys: absolute, so links on either page resolve against them
+    const steps = {
+      from: fromUrl,
+      to: lifecycleDetail.url,
+      signal: signal,
+      update: function (newDoc) {
+        throwIfAborted(signal);
+        navigation.committed = true;
+        clearTimeout(navigation.timeoutId);
+        finishProgress();
+
+        // Let page modules release the content that is about to go
+        emit('page:before-leave', lifecycleDetail);
+        unmountModules();
+        removePageScripts();
+
+        // Update URL in browser history FIRST (so relative paths resolve correctly)
+        if (options.push) {
+          pushEntry(url, transition);
+        } else if (options.entry) {
+          currentEntry = options.entry;
+        }
+
+        swapPage(newDoc);
+        currentPageKey = cacheKey(url);
+        restoreScrollPosition(options.scroll);
+
+        emit('page:after-swap', lifecycleDetail);
+        mountModules();
+
+        // Scripts that register modules are mounted as soon as they run.
+        // The page is already swapped, so a failure here must not undo it.
+        try {
+          runPageScripts(newDoc, currentPageKey);
+        } catch (error) {
+          console.error('Failed to run page scripts:', error);
+        }
+      },
+      enter: function () {
+        observeLinks();
+
+        trackPageView(fromUrl);
+
+        // Saved positions win over the fragment on back/forward
+        const hash = options.scroll ? '' : new URL(url, window.location.href).hash;
+        if (hash) {
+          scrollToFragment(hash);
+        }
+
+        focusPage(hash);
+        announcePage();
+      }
+    };
+
+    let backend = overlayTransition;
+    if (transition === 'none' || reducedMotion.matches) {
+      backend = instantTransition;
+    } else if (supportsViewTransitions()) {
+      backend = viewTransition;
+    }
+
+    backend(page, steps)
+      .then(() => {
+        document.body.classList.remove('transitioning');
+        document.body.classList.add('page-loaded');
+        clearTransitionStyle();
+
+        if (activeNavigation === navigation) {
+          activeNavigation = null;
+        }
+
+        emit('page:after-enter', lifecycleDetail);
+        runQueuedNavigation();
+      })
+      .catch(error => {
+        // Superseded by a newer navigation
+        if (error.name === 'AbortError' && !navigation.committed) return;
+
+        console.error('Page transition error:', error);
+        // Fallback to normal navigation
+        if (options.push) {
+          window.location.href = url;
+        } else {
+          window.location.reload();
+        }
+      });
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Transition styles links can ask for with data-transition
+  const transitionStyles = ['fade', 'slide-left', 'zoom', 'none'];
+
+  function normalizeTransition(transition) {
+    return transitionStyles.includes(transition) ? transition : 'fade';
+  }
+
+  function clearTransitionStyle() {
+    document.documentElement.removeAttribute('data-transition');
+    document.documentElement.removeAttribute('data-transition-direction');
+  }
+
+  // Adds a history entry, remembering its position and how we got there
+  function pushEntry(url, transition) {
+    currentEntry = {
+      index: currentEntry.index + 1,
+      transition: transition
+    };
+
+    window.history.pushState({
+      url: url,
+      scroll: null,
+      index: currentEntry.index,
+      transition: transition
+    }, '', url);
+  }
+
+  // =============================================
+  // Accessibility
+  // =============================================
+
+  // Moves focus off the replaced link: to the fragment target when there is
+  // one, otherwise to the new page's main heading
+  function focusPage(hash) {
+    let target = null;
+
+    if (hash) {
+      try {
+        target = document.getElementById(decodeURIComponent(hash.slice(1)));
+      } catch (error) {
+        target = null;
+      }
+    }
+
+    target = target || document.querySelector('main h1, main h2') || document.querySelector('main');
+    if (!target) return;
+
+    // Headings are not focusable by default
+    if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    target.focus({ preventScroll: true });
+  }
+
+  function announcePage() {
+    if (!announcer) return;
+
+    // Clear first so repeated titles are still announced
+    announcer.textContent = '';
+    setTimeout(() => {
+      announcer.textContent = document.title;
+    }, 100);
+  }
+
+  // =============================================
+  // Progress Bar
+  // =============================================
+  // Trickles forward on its own and jumps ahead with real download progress
+  // when the response streams with a Content-Length.
+
+  function startProgress() {
+    resetProgress();
+
+    // Prefetched pages swap before the bar would even be noticed
+    progressShowTimeout = setTimeout(() => {
+      progressBar.classList.add('active');
+      setProgress(0.1);
+
+      progressTrickleInterval = setInterval(() => {
+        setProgress(progressValue + (0.9 - progressValue) * 0.08);
+      }, 300);
+    }, navigationConfig.progressDelay);
+  }
+
+  function reportProgress(key, fraction) {
+    if (!activeNavigation || activeNavigation.key !== key) return;
+
+    // Downloads cover 10%-90%; the rest is parsing and swapping
+    setProgress(0.1 + fraction * 0.8);
+  }
+
+  function setProgress(value) {
+    if (!progressBar || value <= progressValue) return;
+
+    progressValue = Math.min(value, 1);
+    progressBar.style.transform = 'scaleX(' + progressValue + ')';
+  }
+
+  function finishProgress() {
+    clearTimeout(progressShowTimeout);
+    clearInterval(progressTrickleInterval);
+
+    if (!progressBar || !progressBar.classList.contains('active')) {
+      resetProgress();
       return;
     }
 
+    setProgress(1);
+
+    // Let the bar reach the end, fade out, then rewind it
+    progressHideTimeout = setTimeout(() => {
+      progressBar.classList.remove('active');
+      progressHideTimeout = setTimeout(resetProgress, 300);
+    }, 200);
+  }
+
+  function resetProgress() {
+    clearTimeout(progressShowTimeout);
+    clearTimeout(progressHideTimeout);
+    clearInterval(progressTrickleInterval);
+    progressValue = 0;
+
+    if (progressBar) {
+      progressBar.classList.remove('active');
+      progressBar.style.transform = 'scaleX(0)';
+    }
+  }
+
+  // =============================================
+  // Error Pages
+  // =============================================
+  // HTTP errors show the server's error document (falling back to our own
+  // 404.html) inside the shell; network failures show a retry prompt.
+  // Either way the attempted URL stays in history.
+
+  function createErrorPage(error, url) {
+    if (!error.status) {
+      console.error('Page transition error:', error);
+      return Promise.resolve(createRetryPage());
+    }
+
+    const errorDoc = error.doc ? Promise.resolve(error.doc) : fetchNotFoundPage();
+
+    return errorDoc
+      .then(doc => doc.querySelector('main') ? doc : embedErrorDocument(doc, url, error.status))
+      .catch(() => createRetryPage());
+  }
+
+  function fetchNotFoundPage() {
+    const notFoundUrl = new URL('../../404.html', scriptUrl || window.location.href).href;
+
+    // GitHub Pages answers 404.html itself with a 404, so accept any status
+    return fetch(notFoundUrl)
+      .then(response => response.text())
+      .then(html => new DOMParser().parseFromString(html, 'text/html'));
+  }
+
+  // Builds a page in the site's shell with an empty <main>
+  function createShellDocument(title) {
+    const doc = document.implementation.createHTMLDocument(title);
+    doc.body.className = document.body.className;
+    doc.body.appendChild(doc.createElement('main'));
+    return doc;
+  }
+
+  // Error documents with their own layout (like 404.html) render in an
+  // isolated frame so their styles cannot leak into the shell
+  function embedErrorDocument(errorDoc, url, status) {
+    const shell = createShellDocument(errorDoc.title || 'Page not found');
+
+    // The shell reports the page view; don't count it twice from inside the frame
+    errorDoc.querySelectorAll('script').forEach(script => {
+      if ((script.src && script.src.includes('googletagmanager')) || script.textContent.includes('gtag(')) {
+        script.remove();
+      }
+    });
+
+    // Resolve relative URLs against the attempted page and open links in the shell
+    const base = errorDoc.createElement('base');
+    base.href = url;
+    base.target = '_top';
+    errorDoc.head.prepend(base);
+
+    const frame = shell.createElement('iframe');
+    frame.className = 'error-frame';
+    frame.title = errorDoc.title || 'Error ' + status;
+    frame.setAttribute('sandbox', 'allow-scripts allow-top-navigation-by-user-activation');
+    frame.setAttribute('srcdoc', '<!DOCTYPE html>' + errorDoc.documentElement.outerHTML);
+
+    shell.querySelector('main').appendChild(frame);
+    return shell;
+  }
+
+  function createRetryPage() {
+    const shell = createShellDocument('Page unavailable - Pandu Konala');
+
+    shell.querySelector('main').innerHTML = `
+      <section class="transition-error" role="alert">
+        <h1>Page unavailable</h1>
+        <p>This page could not be loaded. Check your connection and try again.</p>
+        <button type="button" class="btn" data-transition-retry>Try again</button>
+      </section>
+    `;
+
+    return shell;
+  }
+
+  function handleRetryClick(e) {
+    if (!e.target.closest('[data-transition-retry]')) return;
+
     e.preventDefault();
-    navigateTo(href);
+
+    // The attempted URL is already the current history entry
+    requestNavigation(() => {
+      runTransition(window.location.href, { push: false });
+    });
+  }
+
+  // =============================================
+  // Transition Backends
+  // =============================================
+  // Each backend receives the pending page and the navigation steps,
+  // and resolves once the new page is fully on screen.
+
+  function supportsViewTransitions() {
+    return typeof document.startViewTransition === 'function';
   }
 
-  function navigateTo(url) {
-    if (isTransitioning) return;
-    isTransitioning = true;
+  // View Transitions API: the browser snapshots old and new states and
+  // cross-fades them, morphing the shared timeline item/heading pair
+  function viewTransition(page, steps) {
+    return page.then(newDoc => {
+      const morph = findMorphPair(newDoc, steps.from, steps.to);
+
+      document.body.classList.add('transitioning');
+      document.body.classList.remove('page-loaded');
 
+      if (morph) {
+        morph.from.style.viewTransitionName = morphName;
+      }
+
+      const transition = document.startViewTransition(() => {
+        steps.update(newDoc);
+
+        if (morph) {
+          const target = findMorphElement(document, steps.to, steps.from);
+          if (target) {
+            target.style.viewTransitionName = morphName;
+          }
+        }
+      });
+
+      return transition.updateCallbackDone
+        .then(() => {
+          steps.enter();
+          return transition.finished;
+        })
+        .finally(() => {
+          document.querySelectorAll('[style*="view-transition-name"]').forEach(el => {
+            el.style.viewTransitionName = '';
+          });
+        });
+    });
+  }
+
+  // Fallback: fade main out behind the overlay, swap, then fade back in
+  function overlayTransition(page, steps) {
+    startExitAnimation();
+
+    return wait(transitionDuration)
+      .then(() => {
+        if (!steps.signal.aborted) {
+          setCovered(true);
+        }
+        return page;
+      })
+      .then(newDoc => {
+        steps.update(newDoc);
+        return wait(100);
+      })
+      .then(() => {
+        // Hide overlay and start entrance animation
+        const overlay = document.querySelector('.page-transition-overlay');
+        if (overlay) {
+          overlay.classList.remove('active');
+        }
+        setCovered(false);
+
+        const main = document.querySelector('main');
+        if (main) {
+          main.classList.remove('fade-out');
+          main.classList.add('fade-in');
+        }
+
+        steps.enter();
+        return wait(500);
+      })
+      .then(() => {
+        const main = document.querySelector('main');
+        if (main) {
+          main.classList.remove('fade-in');
+        }
+      });
+  }
+
+  // Reduced motion and data-transition="none": swap without animating
+  function instantTransition(page, steps) {
+    document.body.classList.add('transitioning');
+    document.body.classList.remove('page-loaded');
+
+    return page.then(newDoc => {
+      steps.update(newDoc);
+      steps.enter();
+    });
+  }
+
+  // Animated effects (particles, cursor glow) stop drawing while the
+  // overlay hides them and pick up again as it starts fading out
+  function setCovered(covered) {
+    if (covered === pageCovered) return;
+    pageCovered = covered;
+    emit(covered ? 'page:covered' : 'page:uncovered');
+  }
+
+  function startExitAnimation() {
     const main = document.querySelector('main');
     const overlay = document.querySelector('.page-transition-overlay');
 
@@ -78,43 +926,69 @@
     if (overlay) {
       overlay.classList.add('active');
     }
-
-    // Wait for exit animation, then fetch new page
-    setTimeout(() => {
-      fetchPage(url);
-    }, transitionDuration);
   }
 
-  function fetchPage(url) {
-    fetch(url)
-      .then(response => {
-        if (!response.ok) throw new Error('Network response was not ok');
-        return response.text();
-      })
-      .then(html => {
-        updatePage(html, url);
-      })
-      .catch(error => {
-        console.error('Page transition error:', error);
-        // Fallback to normal navigation
-        window.location.href = url;
-      });
+  // =============================================
+  // Shared Element Morphs
+  // =============================================
+  // A timeline item on writing.html/projects.html morphs into the heading
+  // of the detail page it links to, and back again.
+
+  // Returns { from } when both pages contain a matching element
+  function findMorphPair(newDoc, fromUrl, toUrl) {
+    const from = findMorphElement(document, fromUrl, toUrl);
+    const to = findMorphElement(newDoc, toUrl, fromUrl);
+
+    if (!from || !to) return null;
+
+    // Only morph between a timeline item and a detail heading
+    const fromIsItem = from.classList.contains('timeline-item');
+    const toIsItem = to.classList.contains('timeline-item');
+    if (fromIsItem === toIsItem) return null;
+
+    return { from: from };
   }
 
-  function updatePage(html, url) {
-    const parser = new DOMParser();
-    const newDoc = parser.parseFromString(html, 'text/html');
+  // Finds the element on a page (at pageUrl) that represents otherUrl
+  function findMorphElement(root, pageUrl, otherUrl) {
+    if (!pageUrl || !otherUrl) return null;
+
+    const otherKey = cacheKey(otherUrl);
+    const items = root.querySelectorAll('.timeline-item');
 
-    // Update URL in browser history FIRST (so relative paths resolve correctly)
-    window.history.pushState({ url: url }, '', url);
+    for (let i = 0; i < items.length; i++) {
+      const link = items[i].querySelector('.timeline-link');
+      if (link && cacheKey(new URL(link.getAttribute('href'), pageUrl).href) === otherKey) {
+        return items[i];
+      }
+    }
+
+    return root.querySelector('.detail-page h1');
+  }
 
+  function swapPage(newDoc) {
     // Update page title
     document.title = newDoc.title;
 
+    // Bring meta tags, canonical link and structured data in line
+    syncHead(newDoc);
+
     // Update body class (for theme changes)
     document.body.className = newDoc.body.className;
     document.body.classList.add('transitioning');
 
+    // Sync body data attributes (e.g. data-particles-* settings)
+    Array.from(document.body.attributes).forEach(attr => {
+      if (attr.name.indexOf('data-') === 0 && !newDoc.body.hasAttribute(attr.name)) {
+        document.body.removeAttribute(attr.name);
+      }
+    });
+    Array.from(newDoc.body.attributes).forEach(attr => {
+      if (attr.name.indexOf('data-') === 0) {
+        document.body.setAttribute(attr.name, attr.value);
+      }
+    });
+
     // Replace main content
     const currentMain = document.querySelector('main');
     const newMain = newDoc.querySelector('main');
@@ -153,187 +1027,362 @@
     } else if (currentNav && newNav) {
       currentNav.outerHTML = newNav.outerHTML;
     }
+  }
 
-    // Scroll to top
-    window.scrollTo(0, 0);
+  // =============================================
+  // Page Scripts
+  // =============================================
+  // Scripts inserted through innerHTML never run, so after a swap we execute
+  // the new page's scripts ourselves: inline scripts in <main> (and body-level
+  // inline scripts the current page does not have) run in document order,
+  // external scripts load once per session, de-duplicated by absolute src.
+  // Pages opt out with a data-no-scripts attribute on <body> or <main>.
+  const loadedScripts = new Set();
 
-    // Hide overlay and start entrance animation
-    setTimeout(() => {
-      const overlay = document.querySelector('.page-transition-overlay');
-      if (overlay) {
-        overlay.classList.remove('active');
+  function isExecutableScript(script) {
+    const type = (script.getAttribute('type') || '').trim().toLowerCase();
+    return type === '' || type === 'module' ||
+      type === 'text/javascript' || type === 'application/javascript';
+  }
+
+  function runPageScripts(newDoc, pageUrl) {
+    const newMain = newDoc.querySelector('main');
+
+    if (newDoc.body.hasAttribute('data-no-scripts') ||
+      (newMain && newMain.hasAttribute('data-no-scripts'))) {
+      return Promise.resolve();
+    }
+
+    // Inert copies left in the live <main> by innerHTML, in the same order
+    const inertScripts = Array.from(document.querySelectorAll('main script'));
+    // Inline scripts of the shell the site was first loaded with
+    const shellInline = new Set(
+      Array.from(document.querySelectorAll('body script:not([src]):not([data-page-script])'))
+        .map(script => script.textContent.trim())
+    );
+
+    let chain = Promise.resolve();
+
+    newDoc.querySelectorAll('script').forEach(script => {
+      const inMain = Boolean(newMain && newMain.contains(script));
+      const placeholder = inMain ? inertScripts.shift() : null;
+
+      if (!isExecutableScript(script)) return;
+
+      if (script.hasAttribute('src')) {
+        const src = new URL(script.getAttribute('src'), pageUrl).href;
+        if (loadedScripts.has(src)) return;
+
+        loadedScripts.add(src);
+        chain = chain.then(() => executeScript(script, src, placeholder));
+      } else if (inMain || (newDoc.body.contains(script) && !shellInline.has(script.textContent.trim()))) {
+        chain = chain.then(() => executeScript(script, null, placeholder));
       }
+    });
+
+    return chain;
+  }
+
+  // Copies run for the previous page would otherwise pile up in <body> and
+  // hide its inline scripts from the shell check on the next visit. External
+  // scripts stay in loadedScripts, so removing their elements is harmless.
+  function removePageScripts() {
+    document.querySelectorAll('script[data-page-script]').forEach(script => {
+      script.remove();
+    });
+  }
 
-      const main = document.querySelector('main');
-      if (main) {
-        main.classList.remove('fade-out');
-        main.classList.add('fade-in');
+  // Runs a copy of source; resolves once an external script has loaded
+  function executeScript(source, src, placeholder) {
+    return new Promise(resolve => {
+      const script = document.createElement('script');
+
+      Array.from(source.attributes).forEach(attr => {
+        script.setAttribute(attr.name, attr.value);
+      });
+      // Removed again when the page leaves, see removePageScripts()
+      script.setAttribute('data-page-script', '');
+
+      if (src) {
+        script.src = src;
+        script.async = false;
+        script.addEventListener('load', resolve);
+        script.addEventListener('error', () => {
+          console.error('Failed to load page script:', src);
+          resolve();
+        });
+      } else {
+        script.textContent = source.textContent;
       }
 
-      // Re-initialize any page-specific scripts
-      reinitializeScripts();
+      if (placeholder && placeholder.isConnected) {
+        placeholder.replaceWith(script);
+      } else {
+        document.body.appendChild(script);
+      }
 
-      // Clean up
-      setTimeout(() => {
-        document.body.classList.remove('transitioning');
-        document.body.classList.add('page-loaded');
-        if (main) {
-          main.classList.remove('fade-in');
+      if (!src) {
+        resolve();
+      }
+    });
+  }
+
+  // =============================================
+  // Head Synchronisation
+  // =============================================
+  // Head elements we keep in sync with the page being swapped in.
+  // Each entry maps a selector to a function returning the element's identity.
+  const managedHeadElements = [
+    {
+      selector: 'meta[name], meta[property]',
+      key: el => el.hasAttribute('name') ? 'name:' + el.getAttribute('name') : 'property:' + el.getAttribute('property'),
+      // Page-independent tags stay as loaded
+      skip: el => ['viewport', 'google-site-verification'].includes(el.getAttribute('name'))
+    },
+    {
+      selector: 'link[rel="canonical"]',
+      key: () => 'canonical'
+    },
+    {
+      selector: 'script[type="application/ld+json"]',
+      key: (el, index) => 'ld+json:' + index
+    }
+  ];
+
+  function syncHead(newDoc) {
+    managedHeadElements.forEach(type => {
+      const current = collectHeadElements(document, type);
+      const next = collectHeadElements(newDoc, type);
+
+      // Update or remove what is already there
+      current.forEach((el, key) => {
+        const replacement = next.get(key);
+        if (!replacement) {
+          el.remove();
+        } else if (!el.isEqualNode(replacement)) {
+          el.replaceWith(document.importNode(replacement, true));
         }
-        isTransitioning = false;
-      }, 500);
-    }, 100);
+      });
+
+      // Add what the new page introduces
+      next.forEach((el, key) => {
+        if (!current.has(key)) {
+          document.head.appendChild(document.importNode(el, true));
+        }
+      });
+    });
   }
 
-  function handlePopState(e) {
-    if (isTransitioning) return;
+  function collectHeadElements(doc, type) {
+    const elements = new Map();
 
-    const url = window.location.href;
-    isTransitioning = true;
+    doc.head.querySelectorAll(type.selector).forEach((el, index) => {
+      if (type.skip && type.skip(el)) return;
+      elements.set(type.key(el, index), el);
+    });
 
-    const main = document.querySelector('main');
-    const overlay = document.querySelector('.page-transition-overlay');
+    return elements;
+  }
 
-    document.body.classList.add('transitioning');
-    document.body.classList.remove('page-loaded');
+  // =============================================
+  // Analytics
+  // =============================================
+  // Receives { title, location, path, referrer } for every virtual navigation.
+  // Defaults to Google Analytics (gtag) when it is loaded on the page.
+  let analyticsHandler = function (pageView) {
+    if (typeof window.gtag !== 'function') return;
 
-    if (main) {
-      main.classList.add('fade-out');
+    window.gtag('event', 'page_view', {
+      page_title: pageView.title,
+      page_location: pageView.location,
+      page_path: pageView.path,
+      page_referrer: pageView.referrer
+    });
+  };
+
+  function trackPageView(referrer) {
+    if (typeof analyticsHandler !== 'function') return;
+
+    try {
+      analyticsHandler({
+        title: document.title,
+        location: window.location.href,
+        path: window.location.pathname,
+        referrer: referrer || ''
+      });
+    } catch (error) {
+      console.error('Analytics hook error:', error);
     }
+  }
 
-    if (overlay) {
-      overlay.classList.add('active');
+  // =============================================
+  // Fragment Navigation
+  // =============================================
+
+  // True when url points at the current page and only the hash differs
+  function isFragmentChange(url) {
+    const target = new URL(url, window.location.href);
+    return cacheKey(target.href) === currentPageKey &&
+      (target.hash !== '' || window.location.hash !== '');
+  }
+
+  function navigateToFragment(url) {
+    const target = new URL(url, window.location.href);
+
+    if (target.href !== window.location.href) {
+      pushEntry(target.href, 'none');
     }
 
-    setTimeout(() => {
-      fetch(url)
-        .then(response => response.text())
-        .then(html => {
-          const parser = new DOMParser();
-          const newDoc = parser.parseFromString(html, 'text/html');
+    scrollToFragment(target.hash);
+  }
 
-          document.title = newDoc.title;
-          document.body.className = newDoc.body.className;
-          document.body.classList.add('transitioning');
+  function scrollToFragment(hash) {
+    // Reuse the smooth-scroll behavior from common.js
+    if (typeof window.scrollToHash === 'function' && window.scrollToHash(hash)) return;
 
-          const currentMain = document.querySelector('main');
-          const newMain = newDoc.querySelector('main');
+    if (!hash) {
+      window.scrollTo({ top: 0, behavior: reducedMotion.matches ? 'auto' : 'smooth' });
+    }
+  }
 
-          if (currentMain && newMain) {
-            currentMain.innerHTML = newMain.innerHTML;
-            currentMain.className = newMain.className;
-          }
+  // =============================================
+  // Scroll Restoration
+  // =============================================
+  function initScrollRestoration() {
+    // We restore positions ourselves once the new content is in place
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
 
-          const currentHeader = document.querySelector('header');
-          const newHeader = newDoc.querySelector('header');
-          if (currentHeader && newHeader) {
-            currentHeader.className = newHeader.className;
-            currentHeader.innerHTML = newHeader.innerHTML;
-
-            // Force logo image to reload with correct path
-            const logoImg = currentHeader.querySelector('.logo');
-            if (logoImg) {
-              const originalSrc = logoImg.getAttribute('src');
-              logoImg.src = '';
-              logoImg.src = originalSrc;
-            }
-          }
+    const state = window.history.state || {};
+    currentEntry = {
+      index: state.index || 0,
+      transition: normalizeTransition(state.transition)
+    };
 
-          const currentNav = document.querySelector('nav');
-          const newNav = newDoc.querySelector('nav');
-          if (newNav && !currentNav) {
-            const header = document.querySelector('header');
-            if (header) {
-              header.insertAdjacentHTML('afterend', newNav.outerHTML);
-            }
-          } else if (!newNav && currentNav) {
-            currentNav.remove();
-          } else if (currentNav && newNav) {
-            currentNav.outerHTML = newNav.outerHTML;
-          }
+    if (state.scroll) {
+      // Returning to this entry after a full page load
+      restoreScrollPosition(state.scroll);
+    } else {
+      window.history.replaceState(Object.assign({}, state, {
+        url: window.location.href,
+        scroll: null,
+        index: currentEntry.index
+      }), '');
+    }
 
-          window.scrollTo(0, 0);
-
-          setTimeout(() => {
-            if (overlay) {
-              overlay.classList.remove('active');
-            }
-
-            if (main) {
-              main.classList.remove('fade-out');
-              main.classList.add('fade-in');
-            }
-
-            reinitializeScripts();
-
-            setTimeout(() => {
-              document.body.classList.remove('transitioning');
-              document.body.classList.add('page-loaded');
-              const mainEl = document.querySelector('main');
-              if (mainEl) {
-                mainEl.classList.remove('fade-in');
-              }
-              isTransitioning = false;
-            }, 500);
-          }, 100);
-        })
-        .catch(error => {
-          console.error('Pop state error:', error);
-          window.location.reload();
-        });
-    }, transitionDuration);
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('pagehide', saveScrollPosition);
+  }
+
+  function handleScroll() {
+    if (activeNavigation) return;
+
+    clearTimeout(scrollSaveTimeout);
+    scrollSaveTimeout = setTimeout(saveScrollPosition, 150);
+  }
+
+  function getScrollPosition() {
+    const timeline = document.querySelector('.timeline-container');
+
+    return {
+      x: window.scrollX,
+      y: window.scrollY,
+      // Research/project timelines scroll inside their own container
+      timeline: timeline ? timeline.scrollTop : 0
+    };
   }
 
-  function reinitializeScripts() {
-    // Re-initialize particle system for new page dimensions
-    if (window.ParticleSystem && typeof window.ParticleSystem.reinit === 'function') {
-      window.ParticleSystem.reinit();
+  function saveScrollPosition() {
+    clearTimeout(scrollSaveTimeout);
+
+    const state = Object.assign({}, window.history.state, {
+      url: window.location.href,
+      scroll: getScrollPosition()
+    });
+    window.history.replaceState(state, '');
+  }
+
+  function restoreScrollPosition(scroll) {
+    const position = scroll || { x: 0, y: 0, timeline: 0 };
+
+    // 'instant' overrides the stylesheet's smooth scroll-behavior
+    window.scrollTo({ left: position.x, top: position.y, behavior: 'instant' });
+
+    const timeline = document.querySelector('.timeline-container');
+    if (timeline) {
+      timeline.scrollTop = position.timeline || 0;
     }
+  }
 
-    // Re-initialize timeline accordion if present
-    if (typeof window.initTimeline === 'function') {
-      window.initTimeline();
+  // =============================================
+  // Page Lifecycle
+  // =============================================
+  // Scripts register { mount, unmount } once; mount runs for the page on
+  // screen and again after every swap, unmount right before content leaves.
+  // Without transitions.js, modules simply call their mount once on load.
+  // Lifecycle events are dispatched on document with { url, from } details.
+  const modules = new Map(); // name -> { mount, unmount, mounted }
+  let pageMounted = true; // False between unmountModules() and mountModules()
+
+  function register(name, module) {
+    if (modules.has(name)) {
+      unmountModule(name, modules.get(name));
     }
 
-    // Re-initialize scroll animations
-    if (typeof window.initScrollAnimations === 'function') {
-      window.initScrollAnimations();
+    const entry = {
+      mount: module.mount,
+      unmount: module.unmount,
+      mounted: false
+    };
+    modules.set(name, entry);
+
+    // Mount right away unless the page is mid-swap (mountModules picks it up)
+    if (pageMounted) {
+      mountModule(name, entry);
     }
+  }
 
-    // Trigger timeline script if timeline elements exist
-    const timelineItems = document.querySelectorAll('.timeline-item');
-    if (timelineItems.length > 0) {
-      timelineItems.forEach(item => {
-        const header = item.querySelector('.timeline-header');
-        if (header) {
-          header.addEventListener('click', function () {
-            const isActive = item.classList.contains('active');
+  function mountModules() {
+    pageMounted = true;
+    modules.forEach((entry, name) => mountModule(name, entry));
+  }
 
-            // Close all items
-            document.querySelectorAll('.timeline-item').forEach(i => {
-              i.classList.remove('active');
-            });
+  function unmountModules() {
+    pageMounted = false;
+    modules.forEach((entry, name) => unmountModule(name, entry));
+  }
 
-            // Open clicked item if it wasn't active
-            if (!isActive) {
-              item.classList.add('active');
-            }
-          });
-        }
-      });
+  function mountModule(name, entry) {
+    if (entry.mounted) return;
+    entry.mounted = true;
+
+    try {
+      if (typeof entry.mount === 'function') {
+        entry.mount();
+      }
+    } catch (error) {
+      console.error(`Failed to mount "${name}":`, error);
     }
+  }
 
-    // Re-initialize navigation toggle if present
-    const navToggle = document.querySelector('.nav-toggle');
-    const navMenu = document.querySelector('.nav-menu');
-    if (navToggle && navMenu) {
-      navToggle.addEventListener('click', function () {
-        navToggle.classList.toggle('active');
-        navMenu.classList.toggle('active');
-      });
+  function unmountModule(name, entry) {
+    if (!entry.mounted) return;
+    entry.mounted = false;
+
+    try {
+      if (typeof entry.unmount === 'function') {
+        entry.unmount();
+      }
+    } catch (error) {
+      console.error(`Failed to unmount "${name}":`, error);
     }
   }
 
+  function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent(type, { detail: detail }));
+  }
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -341,4 +1390,27 @@
     init();
   }
 
+  // Public API
+  window.PageTransitions = {
+    // transition: 'fade' (default), 'slide-left', 'zoom' or 'none'
+    navigate: function (url, transition) {
+      navigateTo(url, transition);
+    },
+    // Register a page module: { mount, unmount }
+    register: register,
+    // True while the transition overlay hides the page (see page:covered/page:uncovered)
+    isCovered: function () {
+      return pageCovered;
+    },
+    // Override settings: { prefetch: { maxEntries, ttl, ... }, navigation: { timeout, ... } }
+    configure: function (options) {
+      Object.assign(prefetchConfig, options && options.prefetch);
+      Object.assign(navigationConfig, options && options.navigation);
+    },
+    // Replace the page_view hook (pass null to disable virtual page views)
+    setAnalyticsHandler: function (handler) {
+      analyticsHandler = handler;
+    }
+  };
+
 })();
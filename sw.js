@@ -0,0 +1,227 @@
+/**
+ * Service Worker
+ * Precaches the site shell, keeps visited pages available offline
+ * and serves an offline page when nothing else is available
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v1'; // Bump to drop every cache (shell assets refresh themselves)
+const SHELL_CACHE = 'shell-' + CACHE_VERSION;
+const PAGE_CACHE = 'pages-' + CACHE_VERSION;
+const MAX_CACHED_PAGES = 40;
+
+const OFFLINE_PAGE = 'offline.html';
+const NOT_FOUND_PAGE = '404.html';
+
+// Site shell: stylesheets, scripts, fonts, icons and fallback pages
+const SHELL_ASSETS = [
+  'assets/css/common.css',
+  'assets/css/font-awesome-all.css',
+  'assets/js/particles.js',
+  'assets/js/cursor-glow.js',
+  'assets/js/common.js',
+  'assets/js/timeline.js',
+  'assets/js/transitions.js',
+  'assets/font/Futura-Bol.woff',
+  'assets/font/Futura-Boo.woff',
+  'assets/font/Futura-Dem.woff',
+  'assets/font/Futura-Med.woff',
+  'assets/icons/apple-touch-icon.png',
+  'assets/icons/favicon.ico',
+  'assets/icons/favicon-16x16.png',
+  'assets/icons/favicon-32x32.png',
+  'assets/icons/fox.webp',
+  OFFLINE_PAGE
+];
+
+// Detail pages rarely change, so they are served from cache and refreshed behind the scenes
+const DETAIL_PAGE_PATTERN = /\/blog-(work|projects)\//;
+
+// =============================================
+// Install / Activate
+// =============================================
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.all([
+        cache.addAll(SHELL_ASSETS.map(asset => new Request(asset, { cache: 'reload' }))),
+        cacheNotFoundPage(cache)
+      ]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// GitHub Pages serves 404.html with a 404 status, which addAll() would
+// reject; store it as it comes, and don't let it hold up the install
+function cacheNotFoundPage(cache) {
+  const request = new Request(NOT_FOUND_PAGE, { cache: 'reload' });
+
+  return fetch(request)
+    .then(response => {
+      if (response.ok || response.status === 404) {
+        return cache.put(request, response);
+      }
+    })
+    .catch(() => {});
+}
+
+self.addEventListener('activate', event => {
+  // Drop caches from previous versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== SHELL_CACHE && key !== PAGE_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// =============================================
+// Fetch Routing
+// =============================================
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (isPageRequest(request, url)) {
+    event.respondWith(
+      DETAIL_PAGE_PATTERN.test(url.pathname)
+        ? staleWhileRevalidate(event, request)
+        : networkFirst(request)
+    );
+    return;
+  }
+
+  event.respondWith(revalidateAsset(event, request));
+});
+
+// Browser navigations and the AJAX fetches made by transitions.js
+function isPageRequest(request, url) {
+  return request.mode === 'navigate' ||
+    url.pathname.endsWith('/') ||
+    url.pathname.endsWith('.html');
+}
+
+// =============================================
+// Strategies
+// =============================================
+function staleWhileRevalidate(event, request) {
+  return caches.open(PAGE_CACHE).then(cache => {
+    return cache.match(request, { ignoreSearch: true }).then(cached => {
+      // The cached response goes to the page, so keep a copy to compare with
+      const previous = cached && cached.clone();
+
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const changed = previous ? pageChanged(previous, response.clone()) : Promise.resolve(false);
+
+            return cache.put(request, response.clone())
+              .then(() => trimPageCache(cache))
+              .then(() => changed)
+              .then(isChanged => {
+                // transitions.js keeps parsed copies; tell it a fresher one exists
+                if (isChanged) notifyPageUpdated(request.url);
+                return response;
+              });
+          }
+          return response;
+        });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+
+      return network.catch(() => offlineResponse());
+    });
+  });
+}
+
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(PAGE_CACHE).then(cache => cache.put(request, copy).then(() => trimPageCache(cache)));
+      }
+      return response;
+    })
+    .catch(() => {
+      return caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || offlineResponse());
+    });
+}
+
+// Cached assets are served at once and refreshed behind the scenes, so a
+// deploy reaches returning visitors on their next load
+function revalidateAsset(event, request) {
+  return caches.match(request, { ignoreSearch: true }).then(cached => {
+    if (!cached) return fetch(request);
+
+    event.waitUntil(
+      fetch(request)
+        .then(response => {
+          if (!response.ok) return;
+          return caches.open(SHELL_CACHE).then(cache => cache.put(request, response));
+        })
+        .catch(() => {})
+    );
+
+    return cached;
+  });
+}
+
+// Served with a 503 so transitions.js renders it in place without caching it
+function offlineResponse() {
+  return caches.match(OFFLINE_PAGE).then(cached => {
+    if (!cached) {
+      return new Response('You are offline.', {
+        status: 503,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+    }
+
+    return cached.text().then(html => new Response(html, {
+      status: 503,
+      statusText: 'Offline',
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    }));
+  });
+}
+
+// Revalidation mostly brings back the same page. Validators decide when
+// both responses have them, otherwise the bodies are compared.
+function pageChanged(previous, response) {
+  const validators = ['ETag', 'Last-Modified'];
+
+  for (let i = 0; i < validators.length; i++) {
+    const before = previous.headers.get(validators[i]);
+    const after = response.headers.get(validators[i]);
+    if (before && after) return Promise.resolve(before !== after);
+  }
+
+  return Promise.all([previous.text(), response.text()])
+    .then(bodies => bodies[0] !== bodies[1]);
+}
+
+function trimPageCache(cache) {
+  return cache.keys().then(keys => {
+    // Cache keys are returned in insertion order, oldest first
+    const excess = keys.length - MAX_CACHED_PAGES;
+    return Promise.all(keys.slice(0, Math.max(excess, 0)).map(key => cache.delete(key)));
+  });
+}
+
+function notifyPageUpdated(url) {
+  self.clients.matchAll({ type: 'window' }).then(clients => {
+    clients.forEach(client => {
+      client.postMessage({ type: 'page-updated', url: url });
+    });
+  });
+}